@@ -0,0 +1,47 @@
+import zlib from 'zlib';
+import { deflate } from '../util/deflate';
+import { inflate } from '../util/inflate';
+import { inputs, toBytes } from './helpers/compression-inputs';
+
+// The type of the first block, stored in the two bits following the final block flag
+const firstBlockType = (compressed) => (compressed[2] >> 1) & 3;
+
+describe('deflate', () => {
+  it('compresses data that zlib decompresses at every level', () => {
+    Object.keys(inputs).forEach((name) => {
+      for (let level = 0; level <= 9; level++) {
+        const compressed = deflate(inputs[name], { level });
+        expect(Buffer.from(zlib.inflateSync(compressed)).equals(Buffer.from(inputs[name]))).toBe(true);
+        expect(Buffer.from(inflate(compressed)).equals(Buffer.from(inputs[name]))).toBe(true);
+      }
+    });
+  });
+
+  it('writes stored, fixed and dynamic Huffman blocks', () => {
+    expect(firstBlockType(deflate(inputs.text, { level: 0 }))).toEqual(0);
+    expect(firstBlockType(deflate(inputs.random))).toEqual(0);
+    expect(firstBlockType(deflate(toBytes('abcabcabc')))).toEqual(1);
+    expect(firstBlockType(deflate(inputs.text))).toEqual(2);
+  });
+
+  it('compresses about as well as zlib', () => {
+    const sizes = [0, 1, 6, 9].map((level) => deflate(inputs.mixed, { level }).length);
+    expect(sizes[1]).toBeLessThan(sizes[0]);
+    expect(sizes[3]).toBeLessThan(sizes[2]);
+    expect(sizes[2]).toBeLessThanOrEqual(zlib.deflateSync(inputs.mixed).length * 1.05);
+    expect(deflate(inputs.runs).length).toBeLessThan(inputs.runs.length / 50);
+  });
+
+  it('writes a valid zlib header', () => {
+    [0, 1, 6, 9].forEach((level) => {
+      const [compressionMethodAndFlags, flags] = deflate(inputs.text, { level });
+      expect(compressionMethodAndFlags).toEqual(0x78);
+      expect(((compressionMethodAndFlags << 8) | flags) % 31).toEqual(0);
+    });
+  });
+
+  it('rejects invalid compression levels', () => {
+    expect(() => deflate(inputs.text, { level: 10 })).toThrow('Invalid compression level');
+    expect(() => deflate(inputs.text, { level: -1 })).toThrow('Invalid compression level');
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Inputs shared by the inflate and deflate tests, covering empty, small,
+ * repetitive, incompressible and mixed data.
+ */
+export const createRandomBytes = (length, seed = 1) => {
+  const bytes = new Uint8Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    bytes[i] = state >> 16;
+  }
+  return bytes;
+};
+
+export const toBytes = (text) => Uint8Array.from(Buffer.from(text));
+
+export const inputs = {
+  empty: new Uint8Array(0),
+  byte: Uint8Array.from([42]),
+  text: toBytes('The quick brown fox jumps over the lazy dog. '.repeat(50)),
+  random: createRandomBytes(5000),
+  runs: Uint8Array.from({ length: 70000 }, (value, i) => Math.floor(i / 300) % 7),
+  mixed: Uint8Array.from({ length: 150000 }, (value, i) => (i % 1000 < 500 ? i % 13 : (i * 7919) % 251)),
+};
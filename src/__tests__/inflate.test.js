@@ -0,0 +1,51 @@
+import zlib from 'zlib';
+import { inflate } from '../util/inflate';
+import { inputs } from './helpers/compression-inputs';
+
+describe('inflate', () => {
+  it('decompresses the output of every zlib compression level', () => {
+    Object.keys(inputs).forEach((name) => {
+      [0, 1, 6, 9].forEach((level) => {
+        const compressed = zlib.deflateSync(inputs[name], { level });
+        expect(Buffer.from(inflate(compressed)).equals(zlib.inflateSync(compressed))).toBe(true);
+      });
+    });
+  });
+
+  it('decompresses fixed Huffman, Huffman only and run-length encoded blocks', () => {
+    const { Z_FIXED, Z_HUFFMAN_ONLY, Z_RLE, Z_FILTERED } = zlib.constants;
+    Object.keys(inputs).forEach((name) => {
+      [Z_FIXED, Z_HUFFMAN_ONLY, Z_RLE, Z_FILTERED].forEach((strategy) => {
+        const compressed = zlib.deflateSync(inputs[name], { strategy });
+        expect(Buffer.from(inflate(compressed)).equals(zlib.inflateSync(compressed))).toBe(true);
+      });
+    });
+  });
+
+  it('decompresses streams written with small windows', () => {
+    const compressed = zlib.deflateSync(inputs.mixed, { windowBits: 9, memLevel: 1 });
+    expect(Buffer.from(inflate(compressed)).equals(zlib.inflateSync(compressed))).toBe(true);
+  });
+
+  it('ignores data following the checksum', () => {
+    const compressed = zlib.deflateSync(inputs.text);
+    const padded = new Uint8Array(compressed.length + 8);
+    padded.set(compressed);
+    expect(Buffer.from(inflate(padded)).equals(Buffer.from(inputs.text))).toBe(true);
+  });
+
+  it('rejects malformed zlib streams', () => {
+    const compressed = Uint8Array.from(zlib.deflateSync(inputs.text));
+
+    expect(() => inflate(Uint8Array.from([0x78, 0x9d]))).toThrow('Invalid zlib header');
+    expect(() => inflate(Uint8Array.from([0x79, 0x18]))).toThrow('Unsupported zlib compression method');
+    expect(() => inflate(Uint8Array.from([0x78, 0xbb]))).toThrow('Preset zlib dictionaries are not supported');
+    expect(() => inflate(compressed.subarray(0, compressed.length - 6))).toThrow('Unexpected end of zlib data');
+
+    const corrupted = compressed.slice(0);
+    corrupted[corrupted.length - 1] ^= 1;
+    expect(() => inflate(corrupted)).toThrow('Invalid zlib checksum');
+    expect(Buffer.from(inflate(corrupted, { verifyChecksum: false })).equals(Buffer.from(inputs.text))).toBe(true);
+    expect(() => inflate(Uint8Array.from([0x78, 0x9c, 0x07]))).toThrow('Invalid block type in zlib data');
+  });
+});
@@ -1,8 +1,1517 @@
+import zlib from 'zlib';
+import { PNG } from 'pngjs';
 import RnPng from '../rn-png';
+import ArrayBufferWrapper from '../util/array-buffer-wrapper';
+import { calculateCrc32 } from '../util/crc';
+import { readUint32At, writeUint32At } from '../util/typed-array';
+
+const zlibLib = {
+  inflate: (data) => zlib.inflateSync(data),
+  deflate: (data, options) => zlib.deflateSync(data, options),
+};
+
+const buildChunk = (header, payload) => {
+  const abw = new ArrayBufferWrapper(12 + payload.length);
+  abw.writeUint32(payload.length);
+  abw.writeString8(header);
+  abw.copyFrom(payload);
+  abw.stepOffset(payload.length);
+  abw.writeUint32(calculateCrc32(abw, 4, 4 + payload.length));
+  return abw.bufferView;
+};
+
+const concatBuffers = (buffers) => {
+  const result = new Uint8Array(buffers.reduce((acc, buf) => acc + buf.length, 0));
+  buffers.reduce((acc, buf) => {
+    result.set(buf, acc);
+    return acc + buf.length;
+  }, 0);
+  return result;
+};
+
+const listChunks = (bufView) => {
+  const chunks = [];
+  let offset = 8;
+
+  while (offset < bufView.length) {
+    const length = readUint32At(bufView, offset);
+    chunks.push({
+      header: String.fromCharCode(...bufView.subarray(offset + 4, offset + 8)),
+      data: bufView.subarray(offset + 8, offset + 8 + length),
+      raw: bufView.subarray(offset, offset + 12 + length),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+/**
+ * Rewrites a PNG so that its image data is spread across IDAT chunks holding at
+ * most `size` bytes each.
+ */
+const splitIdat = (bufView, size) => {
+  const parts = [bufView.subarray(0, 8)];
+  let payloads = [];
+
+  listChunks(bufView).forEach((chunk) => {
+    if (chunk.header === 'IDAT') {
+      payloads.push(chunk.data);
+      return;
+    }
+    if (payloads.length) {
+      const data = concatBuffers(payloads);
+      for (let i = 0; i < data.length; i += size) {
+        parts.push(buildChunk('IDAT', data.subarray(i, i + size)));
+      }
+      payloads = [];
+    }
+    parts.push(chunk.raw);
+  });
+  return concatBuffers(parts);
+};
+
+const SAMPLES_PER_PIXEL = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+const packScanlines = (samples, width, height, depth, samplesPerPixel) => {
+  const rowLength = Math.ceil(width * samplesPerPixel * depth / 8);
+  const data = new Uint8Array((rowLength + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowLength + 1) + 1;
+    for (let i = 0; i < width * samplesPerPixel; i++) {
+      const value = samples[y * width * samplesPerPixel + i];
+      const bitPosition = i * depth;
+      data[rowStart + (bitPosition >> 3)] |= value << (8 - depth - (bitPosition & 7));
+    }
+  }
+  return data;
+};
+
+/**
+ * A minimal encoder for building test fixtures independently of RnPng.
+ */
+const encodePng = ({ width, height, depth, colorType, samples, palette, interlace = 0 }) => {
+  const samplesPerPixel = SAMPLES_PER_PIXEL[colorType];
+  let imageData;
+
+  if (interlace) {
+    imageData = concatBuffers(ADAM7.map(([xStart, yStart, xStep, yStep]) => {
+      const passSamples = [];
+      let passWidth = 0;
+      let passHeight = 0;
+      for (let y = yStart; y < height; y += yStep, passHeight++) {
+        passWidth = 0;
+        for (let x = xStart; x < width; x += xStep, passWidth++) {
+          const index = (y * width + x) * samplesPerPixel;
+          passSamples.push(...samples.slice(index, index + samplesPerPixel));
+        }
+      }
+      return passWidth && passHeight
+        ? packScanlines(passSamples, passWidth, passHeight, depth, samplesPerPixel)
+        : new Uint8Array(0);
+    }));
+  } else {
+    imageData = packScanlines(samples, width, height, depth, samplesPerPixel);
+  }
+
+  const header = new ArrayBufferWrapper(13);
+  header.writeUint32(width);
+  header.writeUint32(height);
+  [depth, colorType, 0, 0, interlace].forEach((value) => header.writeUint8(value));
+
+  return concatBuffers([
+    Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    buildChunk('IHDR', header.bufferView),
+    palette ? buildChunk('PLTE', Uint8Array.from([].concat(...palette))) : new Uint8Array(0),
+    buildChunk('IDAT', zlib.deflateSync(imageData)),
+    buildChunk('IEND', new Uint8Array(0)),
+  ]);
+};
+
+const insertChunksAfter = (bufView, header, newChunks) => {
+  const parts = [bufView.subarray(0, 8)];
+  listChunks(bufView).forEach((chunk) => {
+    parts.push(chunk.raw);
+    if (chunk.header === header) {
+      parts.push(...newChunks);
+    }
+  });
+  return concatBuffers(parts);
+};
+
+const toBytes = (text) => Uint8Array.from(text.split('').map((character) => character.charCodeAt(0)));
+
+const buildFrameControl = ({ sequenceNumber, width, height, x = 0, y = 0, delay = [1, 10], dispose = 0, blend = 0 }) => {
+  const abw = new ArrayBufferWrapper(26);
+  [sequenceNumber, width, height, x, y].forEach((value) => abw.writeUint32(value));
+  delay.forEach((value) => abw.writeUint16(value));
+  abw.writeUint8(dispose);
+  abw.writeUint8(blend);
+  return buildChunk('fcTL', abw.bufferView);
+};
+
+/**
+ * Builds an 8 bit RGBA APNG.  The first frame is the default image unless a
+ * separate `defaultSamples` is supplied.
+ */
+const encodeApng = ({ width, height, frames, plays = 0, defaultSamples }) => {
+  const animationControl = new ArrayBufferWrapper(8);
+  animationControl.writeUint32(frames.length);
+  animationControl.writeUint32(plays);
+
+  let sequenceNumber = 0;
+  const frameChunks = frames.map((frame) => {
+    const chunks = [buildFrameControl(Object.assign({ sequenceNumber: sequenceNumber++ }, frame))];
+    if (!defaultSamples && sequenceNumber === 1) {
+      return chunks;
+    }
+    const data = zlib.deflateSync(packScanlines(frame.samples, frame.width, frame.height, 8, 4));
+    const payload = new Uint8Array(4 + data.length);
+    writeUint32At(payload, 0, sequenceNumber++);
+    payload.set(data, 4);
+    return chunks.concat(buildChunk('fdAT', payload));
+  });
+
+  const bufView = encodePng({
+    width,
+    height,
+    depth: 8,
+    colorType: 6,
+    samples: defaultSamples || frames[0].samples,
+  });
+  const headerChunks = [buildChunk('acTL', animationControl.bufferView)]
+    .concat(defaultSamples ? [] : frameChunks.shift());
+  return insertChunksAfter(
+    insertChunksAfter(bufView, 'IHDR', headerChunks),
+    'IDAT',
+    [].concat(...frameChunks)
+  );
+};
+
+const fillSamples = (numberOfPixels, color) => [].concat(...new Array(numberOfPixels).fill(color));
+
+const createGradient = (width, height, options = {}) => {
+  const png = new RnPng(Object.assign({ width, height, colorType: 2, zlibLib }, options));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      png.setPixelAt([x, y], [x * 16, y * 16, (x + y) * 8]);
+    }
+  }
+  return png;
+};
 
 describe('RnPng', () => {
   it('creates an object', () => {
     const rnPng = new RnPng({});
     expect(typeof rnPng === 'object');
   });
+
+  it('reads image data split across multiple IDAT chunks', () => {
+    const source = createGradient(8, 6);
+    const bufView = splitIdat(source.getBuffer(), 10);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getMetaData()).toEqual(source.getMetaData());
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(source.getData()));
+  });
+
+  it('decodes Adam7 interlaced indexed images of every size in the PngSuite set', () => {
+    const sizes = [1, 2, 3, 4, 5, 6, 7, 8, 9, 32, 33, 34, 35, 36, 37, 38, 39, 40];
+
+    [1, 2, 4].forEach((depth) => {
+      const numberOfColors = 2 ** depth;
+      const palette = [];
+      for (let i = 0; i < numberOfColors; i++) {
+        palette.push([i * 16, 255 - i * 16, (i * 40) % 256]);
+      }
+
+      sizes.forEach((size) => {
+        const samples = [];
+        for (let y = 0; y < size; y++) {
+          for (let x = 0; x < size; x++) {
+            samples.push((x + 3 * y) % numberOfColors);
+          }
+        }
+
+        const options = { width: size, height: size, depth, colorType: 3, samples, palette };
+        const interlaced = encodePng(Object.assign({ interlace: 1 }, options));
+        const expected = Array.from(PNG.sync.read(Buffer.from(interlaced)).data);
+
+        const rnPng = new RnPng().applyZlibLib(zlibLib).from(interlaced);
+        expect(rnPng.getMetaData().interlace).toBe(1);
+        expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+
+        const progressive = new RnPng().applyZlibLib(zlibLib).from(encodePng(options));
+        expect(Array.from(progressive.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+      });
+    });
+  });
+
+  it('decodes Adam7 interlaced grayscale and truecolor images', () => {
+    const width = 11;
+    const height = 7;
+    const fixtures = [
+      { depth: 2, colorType: 0, sample: (x, y) => [(x + y) % 4] },
+      { depth: 8, colorType: 0, sample: (x, y) => [x * 20 + y] },
+      { depth: 8, colorType: 2, sample: (x, y) => [x * 20, y * 30, x + y] },
+      { depth: 8, colorType: 4, sample: (x, y) => [x * 20, y * 30] },
+      { depth: 8, colorType: 6, sample: (x, y) => [x * 20, y * 30, x * y, 255 - x] },
+    ];
+
+    fixtures.forEach(({ depth, colorType, sample }) => {
+      const samples = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          samples.push(...sample(x, y));
+        }
+      }
+
+      const interlaced = encodePng({ width, height, depth, colorType, samples, interlace: 1 });
+      const expected = Array.from(PNG.sync.read(Buffer.from(interlaced)).data);
+      const rnPng = new RnPng().applyZlibLib(zlibLib).from(interlaced);
+      expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+    });
+  });
+
+  it('encodes Adam7 interlaced images', () => {
+    const gray = new RnPng({ width: 13, height: 5, depth: 2, colorType: 0, zlibLib, interlace: 1 });
+    const indexed = new RnPng({ width: 10, height: 10, depth: 4, colorType: 3, zlibLib, interlace: 1 });
+    for (let y = 0; y < 10; y++) {
+      for (let x = 0; x < 13; x++) {
+        if (y < 5) {
+          gray.setPixelAt([x, y], [((x + y) % 4) * 85]);
+        }
+        if (x < 10) {
+          indexed.setPixelAt([x, y], [(x % 4) * 60, (y % 3) * 100, 0]);
+        }
+      }
+    }
+
+    [createGradient(11, 7, { interlace: 1 }), gray, indexed].forEach((source) => {
+      const bufView = source.getBuffer();
+      const expected = Array.from(source.getData(RnPng.PixelLayout.RGBA));
+
+      const decoded = PNG.sync.read(Buffer.from(bufView));
+      expect(decoded.interlace).toBe(true);
+      expect(Array.from(decoded.data)).toEqual(expected);
+
+      const reloaded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+      expect(reloaded.getMetaData().interlace).toBe(1);
+      expect(Array.from(reloaded.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+    });
+  });
+
+  it('defilters scanlines written with every filter type', () => {
+    const source = new PNG({ width: 9, height: 5 });
+    for (let i = 0; i < source.data.length; i++) {
+      source.data[i] = (i * 37) % 256;
+    }
+
+    [0, 1, 2, 3, 4].forEach((filterType) => {
+      const bufView = Uint8Array.from(PNG.sync.write(source, { filterType }));
+      const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+      expect(Array.from(rnPng.getData())).toEqual(Array.from(source.data));
+    });
+  });
+
+  it('filters scanlines when encoding', () => {
+    const filterTypesOf = (bufView, rowSize) => {
+      const data = zlib.inflateSync(Buffer.from(concatBuffers(listChunks(bufView)
+        .filter((chunk) => 'IDAT' === chunk.header)
+        .map((chunk) => chunk.data))));
+      return Array.from(data.filter((byte, i) => 0 === i % rowSize));
+    };
+    const compressedSize = (bufView) => zlib.deflateSync(zlib.inflateSync(Buffer.from(listChunks(bufView)
+      .find((chunk) => 'IDAT' === chunk.header).data))).length;
+    const source = createGradient(16, 16);
+    const expected = Array.from(source.getData(RnPng.PixelLayout.RGBA));
+
+    Object.values(RnPng.FilterType).forEach((filter) => {
+      const bufView = source.getBuffer({ filter });
+      expect(Array.from(PNG.sync.read(Buffer.from(bufView)).data)).toEqual(expected);
+      expect(Array.from(new RnPng().applyZlibLib(zlibLib).from(bufView).getData()))
+        .toEqual(Array.from(source.getData()));
+      if ('adaptive' !== filter) {
+        expect(filterTypesOf(bufView, 16 * 3 + 1)).toEqual(new Array(16).fill(filter));
+      }
+    });
+
+    const adaptive = source.getBuffer({ filter: 'adaptive' });
+    expect(filterTypesOf(adaptive, 16 * 3 + 1).some((filterType) => filterType > 0)).toBe(true);
+    expect(compressedSize(adaptive)).toBeLessThan(compressedSize(source.getBuffer()));
+
+    const indexed = new RnPng({ width: 4, height: 2, zlibLib, filter: 'adaptive' });
+    indexed.setPixelAt([1, 1], [255, 0, 0]);
+    expect(filterTypesOf(indexed.getBuffer(), 5)).toEqual([0, 0]);
+    expect(filterTypesOf(indexed.getBuffer({ filter: 1 }), 5)).toEqual([1, 1]);
+    expect(() => source.getBuffer({ filter: 5 })).toThrow('Invalid filter type');
+  });
+
+  it('encodes and decodes 16 bit samples', () => {
+    const rgba = new RnPng({ width: 5, height: 4, depth: 16, colorType: 6, zlibLib, interlace: 1 });
+    const gray = new RnPng({ width: 5, height: 4, depth: 16, colorType: 0, zlibLib });
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 5; x++) {
+        rgba.setPixelAt([x, y], [x * 13000, y * 20000 + 7, 65535 - x * y * 3001, 40000 + x]);
+        gray.setPixelAt([x, y], [x * 16000 + y * 300]);
+      }
+    }
+
+    [rgba, gray].forEach((source) => {
+      const bufView = source.getBuffer();
+      const decoded = PNG.sync.read(Buffer.from(bufView));
+      expect(Array.from(decoded.data))
+        .toEqual(Array.from(source.getData(RnPng.PixelLayout.RGBA, { downscale: true })));
+
+      const reloaded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+      expect(reloaded.depth).toBe(16);
+      expect(Array.from(reloaded.getData())).toEqual(Array.from(source.getData()));
+    });
+    expect(rgba.getPixelAt([4, 3])).toEqual([52000, 60007, 65535 - 12 * 3001, 40004]);
+  });
+
+  it('reads 16 bit images written by other encoders', () => {
+    const samples = new Uint16Array(6 * 3 * 4);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = (i * 2477) % 65536;
+    }
+    const source = new PNG({ width: 6, height: 3 });
+    source.data = Buffer.from(samples.buffer);
+    const bufView = Uint8Array.from(PNG.sync.write(source, { bitDepth: 16, colorType: 6, inputColorType: 6 }));
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(samples));
+  });
+
+  it('writes 16 bit transparency and background values', () => {
+    const source = new RnPng({ width: 2, height: 2, depth: 16, colorType: 2, zlibLib })
+      .setPixelAt([0, 0], [1000, 50000, 65535])
+      .setTransparency([1000, 50000, 65535])
+      .setBackground([65535, 258, 4660]);
+    const bufView = source.getBuffer();
+
+    const bkgd = listChunks(bufView).find((chunk) => chunk.header === 'bKGD');
+    expect(Array.from(bkgd.data)).toEqual([255, 255, 1, 2, 18, 52]);
+
+    const reloaded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(Array.from(reloaded.getBackground())).toEqual([65535, 258, 4660]);
+    expect(reloaded.getTransparencies()).toEqual([[1000, 50000, 65535]]);
+    expect(Array.from(reloaded.getData(RnPng.PixelLayout.RGBA)).slice(0, 8))
+      .toEqual([1000, 50000, 65535, 0, 0, 0, 0, 65535]);
+  });
+
+  it('rejects bit depths not allowed for the color type', () => {
+    expect(() => new RnPng({ width: 1, height: 1, depth: 16, colorType: 3 }))
+      .toThrow('Invalid bit depth for color type');
+  });
+
+  it('lists the chunks of a PNG in file order', () => {
+    const bufView = createGradient(4, 4).setBackground([1, 2, 3]).getBuffer({ idatChunkSize: 16 });
+    const expected = listChunks(bufView).map((chunk) => ({
+      type: chunk.header,
+      offset: chunk.raw.byteOffset - bufView.byteOffset,
+      length: chunk.data.length,
+      crc: readUint32At(chunk.raw, chunk.raw.length - 4) >>> 0,
+    }));
+
+    const parsedChunks = RnPng.parseChunks(bufView);
+    expect(parsedChunks).toEqual(expected);
+    expect(parsedChunks.map((chunk) => chunk.type)).toEqual(['IHDR', 'bKGD', 'IDAT', 'IDAT', 'IDAT', 'IEND']);
+  });
+
+  it('replaces the chunks of an image loaded before', () => {
+    const first = createGradient(2, 2)
+      .setGamma(0.5)
+      .setSrgbIntent(0)
+      .setDpi(300)
+      .setLastModified(new Date(Date.UTC(2020, 0, 1)))
+      .setSignificantBits([5, 6, 5])
+      .setText('Title', 'First')
+      .getBuffer();
+    const second = createGradient(3, 1).getBuffer();
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(first).from(second);
+    expect(rnPng.getChunksUsed()).toEqual(new RnPng().applyZlibLib(zlibLib).from(second).getChunksUsed());
+    expect(rnPng.getGamma()).toBeUndefined();
+    expect(rnPng.getSrgbIntent()).toBeUndefined();
+    expect(rnPng.getDpi()).toBeUndefined();
+    expect(rnPng.getLastModified()).toBeUndefined();
+    expect(rnPng.getSignificantBits()).toBeUndefined();
+    expect(rnPng.getTextEntries()).toEqual([]);
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(createGradient(3, 1).getData()));
+  });
+
+  it('ignores chunk type names that appear inside other chunks', () => {
+    const source = createGradient(4, 4);
+    const textChunk = buildChunk('tEXt', toBytes('Comment\0PLTE tRNS bKGD IDAT'));
+    const bufView = insertChunksAfter(source.getBuffer(), 'IHDR', [textChunk]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(source.getData()));
+  });
+
+  it('writes back chunks it does not interpret in their original positions', () => {
+    const source = new RnPng({ width: 2, height: 2, zlibLib });
+    source.setPixelAt(0, [255, 0, 0]).setPixelAt(3, [0, 0, 255]);
+    const withPalette = insertChunksAfter(source.getBuffer(), 'IHDR', [
+      buildChunk('gAMA', Uint8Array.from([0, 0, 177, 143])),
+      buildChunk('prVt', toBytes('before palette')),
+    ]);
+    const withImageData = insertChunksAfter(withPalette, 'PLTE', [buildChunk('pHYs', new Uint8Array(9))]);
+    const bufView = insertChunksAfter(withImageData, 'IDAT', [buildChunk('tEXt', toBytes('Title\0Test'))]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    const expectedChunks = ['IHDR', 'gAMA', 'prVt', 'PLTE', 'pHYs', 'IDAT', 'tEXt', 'IEND'];
+    expect(rnPng.getChunksUsed()).toEqual(expectedChunks);
+
+    const chunks = listChunks(rnPng.getBuffer());
+    expect(chunks.map((chunk) => chunk.header)).toEqual(expectedChunks);
+    listChunks(bufView)
+      .filter((chunk) => ['gAMA', 'prVt', 'pHYs', 'tEXt'].includes(chunk.header))
+      .forEach((chunk) => {
+        const written = chunks.find((writtenChunk) => writtenChunk.header === chunk.header);
+        expect(Array.from(written.raw)).toEqual(Array.from(chunk.raw));
+      });
+  });
+
+  it('drops chunks that are unsafe to copy once the image is modified', () => {
+    const bufView = insertChunksAfter(createGradient(2, 2).getBuffer(), 'IHDR', [
+      buildChunk('prVT', toBytes('depends on the image data')),
+      buildChunk('prVt', toBytes('safe to copy')),
+    ]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'prVT', 'prVt', 'IDAT', 'IEND']);
+
+    rnPng.setTransparency([0, 0, 0]);
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'prVT', 'prVt', 'tRNS', 'IDAT', 'IEND']);
+
+    rnPng.setPixelAt(0, [1, 2, 3]);
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'prVt', 'tRNS', 'IDAT', 'IEND']);
+    expect(listChunks(rnPng.getBuffer()).map((chunk) => chunk.header))
+      .toEqual(['IHDR', 'prVt', 'tRNS', 'IDAT', 'IEND']);
+  });
+
+  it('writes and reads text entries', () => {
+    const source = createGradient(2, 2)
+      .setText('Author', 'Jane Doe')
+      .setText('Comment', 'Generated with seed 42', { compressed: true })
+      .setText('Title', 'Café ☕', { language: 'fr-CA', translatedKeyword: 'Titre', compressed: true })
+      .setText('Source', '😀 record 1234');
+    const bufView = source.getBuffer();
+
+    const chunks = listChunks(bufView);
+    expect(chunks.map((chunk) => chunk.header))
+      .toEqual(['IHDR', 'tEXt', 'zTXt', 'iTXt', 'iTXt', 'IDAT', 'IEND']);
+    expect(Array.from(chunks[1].data)).toEqual(Array.from(toBytes('Author\0Jane Doe')));
+    expect(zlib.inflateSync(chunks[2].data.subarray(9)).toString('latin1')).toEqual('Generated with seed 42');
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getTextEntries()).toEqual(source.getTextEntries());
+    expect(rnPng.getText('Author')).toEqual('Jane Doe');
+    expect(rnPng.getText('Source')).toEqual('😀 record 1234');
+    expect(rnPng.getText('Missing')).toBeUndefined();
+    expect(rnPng.getTextEntries()[2]).toEqual({
+      chunkType: 'iTXt',
+      keyword: 'Title',
+      text: 'Café ☕',
+      compressed: true,
+      language: 'fr-CA',
+      translatedKeyword: 'Titre',
+    });
+  });
+
+  it('reads text entries written by other encoders', () => {
+    const text = Buffer.from('Ünïcode text', 'utf8');
+    const itxtPayload = concatBuffers([
+      toBytes('Description\0\x01\0en\0'),
+      Buffer.from('Déscription\0', 'utf8'),
+      zlib.deflateSync(text),
+    ]);
+    const bufView = insertChunksAfter(createGradient(2, 2).getBuffer(), 'IDAT', [
+      buildChunk('iTXt', itxtPayload),
+      buildChunk('tEXt', toBytes('Copyright\0\xa9 2018')),
+    ]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getText('Description')).toEqual('Ünïcode text');
+    expect(rnPng.getTextEntries()[0].translatedKeyword).toEqual('Déscription');
+    expect(rnPng.getText('Copyright')).toEqual('© 2018');
+    expect(listChunks(rnPng.getBuffer()).map((chunk) => chunk.header))
+      .toEqual(['IHDR', 'IDAT', 'iTXt', 'tEXt', 'IEND']);
+  });
+
+  it('replaces and removes text entries by keyword', () => {
+    const rnPng = createGradient(2, 2)
+      .setText('Author', 'First')
+      .setText('Software', 'RnPng')
+      .setText('Author', 'Second', { compressed: true });
+
+    expect(rnPng.getTextEntries().map((entry) => [entry.chunkType, entry.keyword, entry.text]))
+      .toEqual([['zTXt', 'Author', 'Second'], ['tEXt', 'Software', 'RnPng']]);
+
+    rnPng.removeText('Author');
+    expect(rnPng.getTextEntries().map((entry) => entry.keyword)).toEqual(['Software']);
+
+    expect(() => rnPng.setText('', 'value')).toThrow('Invalid text keyword');
+    expect(() => rnPng.setText(' Padded', 'value')).toThrow('Invalid text keyword');
+    expect(() => rnPng.setText('x'.repeat(80), 'value')).toThrow('Invalid text keyword');
+    expect(() => rnPng.setText('Title', 'value', { language: 'en US' })).toThrow('Invalid language tag');
+    expect(new RnPng().setText('Title', 'value', { compressed: true }).getText('Title')).toEqual('value');
+  });
+
+  it('writes and reads colorimetry chunks', () => {
+    const chromaticities = {
+      whitePoint: { x: 0.3127, y: 0.329 },
+      red: { x: 0.64, y: 0.33 },
+      green: { x: 0.3, y: 0.6 },
+      blue: { x: 0.15, y: 0.06 },
+    };
+    const profile = Uint8Array.from({ length: 300 }, (value, i) => i % 7);
+    const source = new RnPng({ width: 2, height: 1, zlibLib })
+      .setPixelAt(0, [10, 20, 30])
+      .setPixelAt(1, [40, 50, 60])
+      .setGamma(1 / 2.2)
+      .setChromaticities(chromaticities)
+      .setSrgbIntent(RnPng.RenderingIntent.SATURATION)
+      .setIccProfile('Display P3', profile);
+    const bufView = source.getBuffer();
+
+    const chunks = listChunks(bufView);
+    expect(chunks.map((chunk) => chunk.header)).toEqual(['IHDR', 'gAMA', 'cHRM', 'iCCP', 'PLTE', 'IDAT', 'IEND']);
+    const iccpChunk = chunks.find((chunk) => chunk.header === 'iCCP');
+    expect(Array.from(iccpChunk.data.subarray(0, 12))).toEqual(Array.from(toBytes('Display P3\0\0')));
+    expect(Array.from(zlib.inflateSync(iccpChunk.data.subarray(12)))).toEqual(Array.from(profile));
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getGamma()).toEqual(0.45455);
+    expect(rnPng.getChromaticities()).toEqual(chromaticities);
+    expect(rnPng.getSrgbIntent()).toBeUndefined();
+    expect(rnPng.getIccProfile().name).toEqual('Display P3');
+    expect(Array.from(rnPng.getIccProfile().profile)).toEqual(Array.from(profile));
+
+    rnPng.setSrgbIntent(RnPng.RenderingIntent.PERCEPTUAL);
+    expect(rnPng.getSrgbIntent()).toEqual(RnPng.RenderingIntent.PERCEPTUAL);
+    expect(rnPng.getIccProfile()).toBeUndefined();
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'gAMA', 'cHRM', 'sRGB', 'PLTE', 'IDAT', 'IEND']);
+
+    expect(() => rnPng.setGamma(0)).toThrow('Invalid gamma value');
+    expect(() => rnPng.setChromaticities({ red: { x: 0.64, y: 0.33 } })).toThrow('Invalid chromaticities');
+    expect(() => rnPng.setSrgbIntent(4)).toThrow('Invalid rendering intent');
+    expect(() => rnPng.setIccProfile('', profile)).toThrow('Invalid ICC profile name');
+  });
+
+  it('returns gamma corrected samples', () => {
+    const rnPng = new RnPng({ width: 2, height: 2, colorType: 6, zlibLib });
+    [[0, 1, 64, 255], [128, 200, 255, 128], [0, 0, 0, 0], [255, 255, 255, 255]]
+      .forEach((pixel, i) => rnPng.setPixelAt([i % 2, Math.floor(i / 2)], pixel));
+
+    const expected = [0, 13, 137, 255, 188, 229, 255, 128, 0, 0, 0, 0, 255, 255, 255, 255];
+    expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGBA, { gammaCorrect: true })))
+      .toEqual(Array.from(rnPng.getData()));
+
+    rnPng.setGamma(1);
+    expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGBA, { gammaCorrect: true }))).toEqual(expected);
+    expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGB, { gammaCorrect: true })))
+      .toEqual(expected.filter((sample, i) => i % 4 !== 3));
+
+    rnPng.setSrgbIntent(RnPng.RenderingIntent.PERCEPTUAL);
+    expect(Array.from(rnPng.getData(RnPng.PixelLayout.RGBA, { gammaCorrect: true })))
+      .toEqual(Array.from(rnPng.getData()));
+  });
+
+  it('writes and reads the last modification time', () => {
+    const bufView = createGradient(2, 2)
+      .setLastModified(new Date(Date.UTC(2018, 6, 4, 13, 5, 59, 750)))
+      .getBuffer();
+
+    const chunks = listChunks(bufView);
+    expect(chunks.map((chunk) => chunk.header)).toEqual(['IHDR', 'IDAT', 'tIME', 'IEND']);
+    expect(Array.from(chunks[2].data)).toEqual([7, 226, 7, 4, 13, 5, 59]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getLastModified().toISOString()).toEqual('2018-07-04T13:05:59.000Z');
+    expect(new RnPng().getLastModified()).toBeUndefined();
+    expect(() => rnPng.setLastModified(new Date(NaN))).toThrow('Invalid modification date');
+  });
+
+  it('stamps the modification time on encode when requested', () => {
+    const start = Math.floor(Date.now() / 1000) * 1000;
+
+    const stamped = createGradient(2, 2, { timestamp: true });
+    stamped.getBuffer();
+    expect(stamped.getLastModified().getTime()).toBeGreaterThanOrEqual(start);
+    expect(stamped.getLastModified().getTime()).toBeLessThanOrEqual(Date.now());
+
+    const unstamped = createGradient(2, 2);
+    unstamped.getBuffer();
+    expect(unstamped.getLastModified()).toBeUndefined();
+    unstamped.getBuffer({ timestamp: true });
+    expect(unstamped.getLastModified().getTime()).toBeGreaterThanOrEqual(start);
+
+    const stampedOnce = createGradient(2, 2, { timestamp: true })
+      .setLastModified(new Date(Date.UTC(2000, 0, 1)));
+    stampedOnce.getBuffer({ timestamp: false });
+    expect(stampedOnce.getLastModified().toISOString()).toEqual('2000-01-01T00:00:00.000Z');
+  });
+
+  it('writes and reads significant bits', () => {
+    const bufView = createGradient(2, 2).setSignificantBits([5, 6, 5]).getBuffer();
+    const sbitChunk = listChunks(bufView).find((chunk) => chunk.header === 'sBIT');
+    expect(Array.from(sbitChunk.data)).toEqual([5, 6, 5]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getSignificantBits()).toEqual([5, 6, 5]);
+    expect(() => rnPng.setSignificantBits([5, 6])).toThrow('Incorrect number of significant bits supplied (3 expected)');
+    expect(() => rnPng.setSignificantBits([5, 6, 9])).toThrow('Significant bits must be between 1 and 8');
+
+    expect(new RnPng({ colorType: 3, depth: 2 }).setSignificantBits([8, 8, 8]).getSignificantBits()).toEqual([8, 8, 8]);
+    expect(() => new RnPng({ colorType: 0, depth: 2 }).setSignificantBits([3]))
+      .toThrow('Significant bits must be between 1 and 2');
+    expect(new RnPng({ colorType: 4 }).setSignificantBits([7, 1]).getSignificantBits()).toEqual([7, 1]);
+  });
+
+  it('computes, writes and reads the palette histogram', () => {
+    const source = new RnPng({ width: 3, height: 1, zlibLib })
+      .setPixelAt(0, [255, 0, 0])
+      .setPixelAt(1, [0, 255, 0])
+      .setPixelAt(2, [0, 255, 0])
+      .setHistogram();
+    expect(source.getHistogram()).toEqual([1, 2]);
+
+    const bufView = source.getBuffer();
+    const chunks = listChunks(bufView);
+    expect(chunks.map((chunk) => chunk.header)).toEqual(['IHDR', 'PLTE', 'hIST', 'IDAT', 'IEND']);
+    expect(Array.from(chunks[2].data)).toEqual([0, 1, 0, 2]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getHistogram()).toEqual([1, 2]);
+    expect(rnPng.setHistogram([100, 65535]).getHistogram()).toEqual([100, 65535]);
+    expect(() => rnPng.setHistogram([1])).toThrow('Incorrect number of histogram frequencies supplied (2 expected)');
+    expect(() => rnPng.setHistogram([1, 65536])).toThrow('Histogram frequencies must be between 0 and 65535');
+
+    rnPng.setPixelAt(0, [0, 0, 255]);
+    expect(rnPng.getHistogram()).toBeUndefined();
+    expect(() => createGradient(2, 2).setHistogram()).toThrow('Attempting to set a histogram when no palette exists');
+  });
+
+  it('dedupes, prunes and sorts the palette', () => {
+    const original = new RnPng({ width: 4, height: 2, zlibLib });
+    [[200, 200, 200], [10, 10, 10], [90, 90, 90], [10, 10, 10], [50, 50, 50], [90, 90, 90], [10, 10, 10], [0, 0, 255]]
+      .forEach((color, i) => original.setPixelAt(i, color));
+    original.replacePaletteColor([50, 50, 50], [90, 90, 90])
+      .setPixelAt(7, [200, 200, 200])
+      .setTransparency(128, 1);
+    const source = new RnPng().applyZlibLib(zlibLib)
+      .from(insertChunksAfter(original.getBuffer(), 'tRNS', [buildChunk('bKGD', Uint8Array.from([2]))]));
+    const expected = Array.from(source.getData(RnPng.PixelLayout.RGBA));
+    const paletteColors = () => source.getPalette().map((entry) => entry[1]);
+
+    source.dedupePalette();
+    expect(paletteColors()).toEqual([[200, 200, 200], [10, 10, 10], [90, 90, 90], [0, 0, 255]]);
+    expect(Array.from(source.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+
+    source.removeUnusedPaletteEntries();
+    expect(paletteColors()).toEqual([[200, 200, 200], [10, 10, 10], [90, 90, 90]]);
+
+    source.sortPalette();
+    expect(paletteColors()).toEqual([[10, 10, 10], [90, 90, 90], [200, 200, 200]]);
+    expect(source.getTransparencies()).toEqual([128]);
+    expect(Array.from(source.getBackground())).toEqual([1]);
+
+    source.sortPalette(RnPng.PaletteSortOrder.FREQUENCY);
+    expect(paletteColors()).toEqual([[10, 10, 10], [90, 90, 90], [200, 200, 200]]);
+
+    source.sortPalette((a, b) => b[0] - a[0]);
+    expect(paletteColors()).toEqual([[200, 200, 200], [90, 90, 90], [10, 10, 10]]);
+    expect(source.getTransparencies()).toEqual([255, 255, 128]);
+    expect(Array.from(source.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+    expect(Array.from(PNG.sync.read(Buffer.from(source.getBuffer())).data)).toEqual(expected);
+
+    expect(() => source.sortPalette('hue')).toThrow('Invalid palette sort order');
+    expect(() => createGradient(2, 2).dedupePalette()).toThrow('Attempting to dedupe a palette when no palette exists');
+  });
+
+  it('writes and reads suggested palettes', () => {
+    const entries8 = [{ color: [255, 0, 0, 255], frequency: 10 }, { color: [0, 0, 255, 128], frequency: 0 }];
+    const entries16 = [{ color: [65535, 256, 1, 65535], frequency: 65535 }];
+    const bufView = createGradient(2, 2)
+      .setSuggestedPalette('Reduced', entries8)
+      .setSuggestedPalette('Wide', [{ color: [0, 0, 0, 0], frequency: 1 }], 16)
+      .setSuggestedPalette('Wide', entries16, 16)
+      .getBuffer();
+
+    const spltChunks = listChunks(bufView).filter((chunk) => chunk.header === 'sPLT');
+    expect(spltChunks.map((chunk) => Array.from(chunk.data))).toEqual([
+      Array.from(toBytes('Reduced\0\x08')).concat([255, 0, 0, 255, 0, 10, 0, 0, 255, 128, 0, 0]),
+      Array.from(toBytes('Wide\0\x10')).concat([255, 255, 1, 0, 0, 1, 255, 255, 255, 255]),
+    ]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getSuggestedPalettes()).toEqual([
+      { name: 'Reduced', depth: 8, entries: entries8 },
+      { name: 'Wide', depth: 16, entries: entries16 },
+    ]);
+
+    rnPng.removeSuggestedPalette('Reduced');
+    expect(rnPng.getSuggestedPalettes().map((palette) => palette.name)).toEqual(['Wide']);
+    expect(() => rnPng.setSuggestedPalette('Bad', entries16)).toThrow('Invalid suggested palette entries');
+    expect(() => rnPng.setSuggestedPalette('Bad', entries8, 4)).toThrow('Suggested palettes must have a sample depth of 8 or 16');
+
+    rnPng.setPixelAt(0, [1, 2, 3]);
+    expect(rnPng.getSuggestedPalettes()).toEqual([]);
+  });
+
+  it('decodes and composites APNG frames', () => {
+    const red = [255, 0, 0, 255];
+    const bufView = encodeApng({
+      width: 4,
+      height: 4,
+      plays: 3,
+      frames: [
+        { width: 4, height: 4, samples: fillSamples(16, red) },
+        { width: 2, height: 2, x: 1, y: 1, samples: fillSamples(4, [0, 0, 255, 128]), blend: 1, dispose: 2, delay: [1, 0] },
+        { width: 1, height: 1, samples: [0, 255, 0, 255], dispose: 1, delay: [3, 1000] },
+        { width: 1, height: 1, x: 3, y: 3, samples: [0, 0, 0, 0] },
+      ],
+    });
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.isAnimated()).toBe(true);
+    expect(rnPng.getLoopCount()).toEqual(3);
+    expect(rnPng.getFrameCount()).toEqual(4);
+    expect(rnPng.getFrameInfo(1)).toEqual({
+      width: 2,
+      height: 2,
+      x: 1,
+      y: 1,
+      delay: 10,
+      delayNumerator: 1,
+      delayDenominator: 0,
+      dispose: RnPng.DisposeOp.PREVIOUS,
+      blend: RnPng.BlendOp.OVER,
+      isDefaultImage: false,
+    });
+    expect(rnPng.getFrameInfo(2).delay).toEqual(3);
+    expect(rnPng.getFrameInfo(0).isDefaultImage).toBe(true);
+
+    const rawFrame = rnPng.getRawFrame(1);
+    expect([rawFrame.width, rawFrame.height]).toEqual([2, 2]);
+    expect(Array.from(rawFrame.getData())).toEqual(fillSamples(4, [0, 0, 255, 128]));
+
+    const blended = [127, 0, 128, 255];
+    const expectedFrames = [
+      fillSamples(16, red),
+      [].concat(...fillSamples(16, [red]).map((pixel, i) => [5, 6, 9, 10].includes(i) ? blended : pixel)),
+      [0, 255, 0, 255].concat(fillSamples(15, red)),
+      [0, 0, 0, 0].concat(fillSamples(14, red), [0, 0, 0, 0]),
+    ];
+    expectedFrames.forEach((expected, i) => {
+      const frame = rnPng.getFrame(i);
+      expect(frame.isTruecolorWithAlpha()).toBe(true);
+      expect(Array.from(frame.getData())).toEqual(expected);
+    });
+
+    expect(listChunks(rnPng.getBuffer()).map((chunk) => chunk.header))
+      .toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+    expect(() => rnPng.getFrame(4)).toThrow('Frame index out of range');
+  });
+
+  it('decodes APNG frames without encoding them again', () => {
+    let numberOfDeflates = 0;
+    const countingZlibLib = Object.assign({}, zlibLib, {
+      deflate: (data, options) => {
+        numberOfDeflates++;
+        return zlibLib.deflate(data, options);
+      },
+    });
+    const red = [255, 0, 0, 255];
+    const green = [0, 255, 0, 255];
+    const blue = [0, 0, 255, 255];
+    const bufView = encodeApng({
+      width: 2,
+      height: 1,
+      frames: [
+        { width: 2, height: 1, samples: fillSamples(2, red) },
+        { width: 1, height: 1, samples: green, dispose: 2 },
+        { width: 1, height: 1, x: 1, samples: blue },
+      ],
+    });
+
+    // Frames requested out of order are composited again from the first frame.
+    const rnPng = new RnPng().applyZlibLib(countingZlibLib).from(bufView);
+    const frames = [0, 1, 2, 2, 1, 2].map((i) => Array.from(rnPng.getFrame(i).getData()));
+    expect(frames).toEqual([
+      red.concat(red),
+      green.concat(red),
+      red.concat(blue),
+      red.concat(blue),
+      green.concat(red),
+      red.concat(blue),
+    ]);
+    expect(Array.from(rnPng.getRawFrame(0).getData())).toEqual(red.concat(red));
+    expect(numberOfDeflates).toEqual(0);
+
+    rnPng.getFrame(2).setPixelAt([0, 0], blue);
+    expect(Array.from(rnPng.getFrame(2).getData())).toEqual(red.concat(blue));
+
+    // Modifying the default image drops the composited frames.
+    rnPng.setPixelAt([1, 0], green);
+    expect(rnPng.getFrameCount()).toEqual(3);
+    expect(Array.from(rnPng.getFrame(1).getData())).toEqual(green.concat(green));
+    expect(Array.from(rnPng.getFrame(0).getData())).toEqual(red.concat(green));
+
+    const indexed = new RnPng({ width: 2, height: 1, zlibLib }).setPixelAt(0, [255, 0, 0, 128]);
+    const rawFrame = indexed.getRawFrame(0);
+    expect(rawFrame.getPalette()).toEqual(indexed.getPalette());
+    expect(Array.from(rawFrame.getData(RnPng.PixelLayout.RGBA)))
+      .toEqual(Array.from(indexed.getData(RnPng.PixelLayout.RGBA)));
+  });
+
+  it('keeps the frames of an APNG when its image data is edited', () => {
+    const red = [255, 0, 0, 255];
+    const bufView = encodeApng({
+      width: 2,
+      height: 1,
+      frames: [
+        { width: 2, height: 1, samples: fillSamples(2, red) },
+        { width: 1, height: 1, x: 1, samples: [0, 0, 255, 255] },
+      ],
+    });
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView).setPixelAt([0, 0], [1, 2, 3, 4]);
+    expect(rnPng.isAnimated()).toBe(true);
+    expect(rnPng.getChunksUsed()).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+
+    const decoded = new RnPng().applyZlibLib(zlibLib).from(rnPng.getBuffer());
+    expect(decoded.getFrameCount()).toEqual(2);
+    expect(Array.from(decoded.getFrame(0).getData())).toEqual([1, 2, 3, 4].concat(red));
+    expect(Array.from(decoded.getFrame(1).getData())).toEqual([1, 2, 3, 4, 0, 0, 255, 255]);
+  });
+
+  it('decodes APNGs whose default image is not part of the animation', () => {
+    const bufView = encodeApng({
+      width: 2,
+      height: 1,
+      defaultSamples: fillSamples(2, [9, 9, 9, 9]),
+      frames: [
+        { width: 2, height: 1, samples: fillSamples(2, [1, 2, 3, 4]) },
+        { width: 1, height: 1, x: 1, samples: [5, 6, 7, 8], blend: 0 },
+      ],
+    });
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getFrameCount()).toEqual(2);
+    expect(rnPng.getFrameInfo(0).isDefaultImage).toBe(false);
+    expect(Array.from(rnPng.getFrame(0).getData())).toEqual([1, 2, 3, 4, 1, 2, 3, 4]);
+    expect(Array.from(rnPng.getFrame(1).getData())).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(Array.from(rnPng.getData())).toEqual([9, 9, 9, 9, 9, 9, 9, 9]);
+
+    const outOfOrder = listChunks(bufView).reduce((acc, chunk) => {
+      acc.push(chunk.header === 'fdAT' && readUint32At(chunk.data, 0) === 1
+        ? buildChunk('fdAT', concatBuffers([Uint8Array.from([0, 0, 0, 7]), chunk.data.subarray(4)]))
+        : chunk.raw);
+      return acc;
+    }, [bufView.subarray(0, 8)]);
+    expect(() => new RnPng().applyZlibLib(zlibLib).from(concatBuffers(outOfOrder)).getFrameCount())
+      .toThrow('Invalid sequence numbers found in APNG chunks');
+  });
+
+  it('treats a static image as a single frame', () => {
+    const source = createGradient(2, 2);
+    expect(source.isAnimated()).toBe(false);
+    expect(source.getLoopCount()).toBeUndefined();
+    expect(source.getFrameCount()).toEqual(1);
+    expect(Array.from(source.getFrame(0).getData())).toEqual(Array.from(source.getData(RnPng.PixelLayout.RGBA)));
+  });
+
+  it('builds and encodes APNGs', () => {
+    const frameOf = (width, height, color) => new RnPng({ width, height, colorType: 6, zlibLib })
+      .from(encodePng({ width, height, depth: 8, colorType: 6, samples: fillSamples(width * height, color) }));
+    const animation = RnPng.createAnimation({ width: 3, height: 2, loops: 2, zlibLib })
+      .addFrame(createGradient(3, 2), { delay: 250 })
+      .addFrame(frameOf(1, 2, [0, 0, 255, 255]), { x: 2, delay: 1500, dispose: RnPng.DisposeOp.BACKGROUND })
+      .addFrame(frameOf(2, 1, [0, 255, 0, 128]), { x: 1, y: 1, blend: RnPng.BlendOp.OVER });
+
+    const bufView = animation.getBuffer();
+    const chunks = listChunks(bufView);
+    expect(chunks.map((chunk) => chunk.header))
+      .toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+    expect(chunks.filter((chunk) => ['fcTL', 'fdAT'].includes(chunk.header))
+      .map((chunk) => readUint32At(chunk.data, 0))).toEqual([0, 1, 2, 3, 4]);
+
+    const gradient = Array.from(createGradient(3, 2).getData(RnPng.PixelLayout.RGBA));
+    const staticImage = PNG.sync.read(Buffer.from(bufView));
+    expect(Array.from(staticImage.data)).toEqual(gradient);
+
+    const decoded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(decoded.getLoopCount()).toEqual(2);
+    expect(decoded.getFrameCount()).toEqual(3);
+    expect(decoded.getFrameInfo(0)).toMatchObject({ delay: 250, isDefaultImage: true });
+    expect(decoded.getFrameInfo(1)).toMatchObject({
+      width: 1,
+      height: 2,
+      x: 2,
+      y: 0,
+      delay: 1500,
+      dispose: RnPng.DisposeOp.BACKGROUND,
+    });
+
+    const blue = [0, 0, 255, 255];
+    const secondFrame = gradient.slice(0, 8).concat(blue, gradient.slice(12, 20), blue);
+    expect(Array.from(decoded.getFrame(1).getData())).toEqual(secondFrame);
+
+    const greenOver = (offset) => secondFrame.slice(offset, offset + 3)
+      .map((sample, i) => Math.round(([0, 255, 0][i] * 128 + sample * 127) / 255)).concat(255);
+    expect(Array.from(decoded.getFrame(2).getData())).toEqual(gradient.slice(0, 8).concat(
+      [0, 0, 0, 0],
+      gradient.slice(12, 16),
+      greenOver(16),
+      [0, 255, 0, 128],
+    ));
+  });
+
+  it('keeps the frames added to an animation when its image data is edited', () => {
+    const animation = RnPng.createAnimation({ width: 2, height: 1, zlibLib })
+      .addFrame(createGradient(2, 1))
+      .addFrame(createGradient(1, 1), { x: 1 });
+
+    animation.setPixelAt([0, 0], [1, 2, 3, 4]).setOpacityAt([1, 0], 128);
+    expect(animation.getFrameCount()).toEqual(2);
+    expect(Array.from(animation.getFrame(0).getData())).toEqual([1, 2, 3, 4, 16, 0, 8, 128]);
+
+    animation.setData([9, 9, 9, 9, 8, 8, 8, 8], RnPng.PixelLayout.RGBA);
+    const decoded = new RnPng().applyZlibLib(zlibLib).from(animation.getBuffer());
+    expect(decoded.isAnimated()).toBe(true);
+    expect(Array.from(decoded.getFrame(0).getData())).toEqual([9, 9, 9, 9, 8, 8, 8, 8]);
+    expect(Array.from(decoded.getFrame(1).getData())).toEqual([9, 9, 9, 9, 0, 0, 0, 255]);
+  });
+
+  it('rejects frames that do not fit the animation', () => {
+    const animation = RnPng.createAnimation({ width: 2, height: 2, zlibLib });
+    expect(() => animation.getBuffer()).toThrow('Attempting to encode an animation without frames');
+    expect(() => animation.addFrame(createGradient(1, 1)))
+      .toThrow('The first frame must cover the whole animation');
+    animation.addFrame(createGradient(2, 2));
+    expect(() => animation.addFrame(createGradient(2, 2), { x: 1 }))
+      .toThrow('Frame region exceeds the bounds of the animation');
+    expect(() => animation.addFrame(createGradient(1, 1), { dispose: 3 })).toThrow('Invalid dispose operation');
+    expect(() => createGradient(2, 2).addFrame(createGradient(2, 2)))
+      .toThrow('Attempting to add a frame to an image that isn\'t animated');
+    expect(() => RnPng.createAnimation({ width: 2, height: 2, loops: -1 })).toThrow('Invalid loop count');
+  });
+
+  it('optimizes images to their smallest lossless representation', () => {
+    const decode = (bufView) => Array.from(PNG.sync.read(Buffer.from(bufView)).data);
+    const fill = (rnPng, colorOf) => {
+      for (let y = 0; y < rnPng.height; y++) {
+        for (let x = 0; x < rnPng.width; x++) {
+          rnPng.setPixelAt([x, y], colorOf(x, y));
+        }
+      }
+      return rnPng;
+    };
+
+    const blackAndWhite = fill(new RnPng({ width: 9, height: 3, colorType: 6, zlibLib }),
+      (x, y) => (x + y) % 2 ? [255, 255, 255, 255] : [0, 0, 0, 255])
+      .setSignificantBits([8, 8, 8, 8]);
+    const expected = Array.from(blackAndWhite.getData(RnPng.PixelLayout.RGBA));
+    expect(blackAndWhite.optimize()).toEqual({ colorType: 0, depth: 1, paletteSize: 0 });
+    expect(blackAndWhite.getSignificantBits()).toEqual([1]);
+    expect(decode(blackAndWhite.getBuffer())).toEqual(expected);
+
+    const wide = fill(new RnPng({ width: 20, height: 20, colorType: 2, depth: 16, zlibLib }),
+      (x, y) => [x * 257, y * 257, (x * y % 256) * 257]);
+    const wideData = Array.from(wide.getData(RnPng.PixelLayout.RGBA), (sample) => sample / 257);
+    expect(wide.optimize()).toEqual({ colorType: 2, depth: 8, paletteSize: 0 });
+    expect(decode(wide.getBuffer())).toEqual(wideData);
+
+    const keyed = fill(new RnPng({ width: 20, height: 20, colorType: 6, zlibLib }),
+      (x, y) => x === y ? [1, 2, 3, 0] : [x * 10, y * 10, 50, 255]);
+    const keyedData = Array.from(keyed.getData(RnPng.PixelLayout.RGBA));
+    expect(keyed.optimize()).toEqual({ colorType: 2, depth: 8, paletteSize: 0 });
+    expect(keyed.getTransparencies()).toEqual([[1, 2, 3]]);
+    // Decoders may clear the color of transparent pixels, so the image is reloaded.
+    expect(Array.from(new RnPng().from(keyed.getBuffer()).getData(RnPng.PixelLayout.RGBA))).toEqual(keyedData);
+
+    const lowGray = fill(new RnPng({ width: 6, height: 4, colorType: 6, zlibLib }),
+      (x, y) => y ? [x % 2 * 255, x % 2 * 255, x % 2 * 255, 255] : [85, 85, 85, 0]);
+    const lowGrayData = Array.from(lowGray.getData(RnPng.PixelLayout.RGBA));
+    expect(lowGray.optimize()).toEqual({ colorType: 0, depth: 2, paletteSize: 0 });
+    expect(lowGray.getTransparencies()).toEqual([1]);
+    expect(Array.from(new RnPng().from(lowGray.getBuffer()).getData(RnPng.PixelLayout.RGBA))).toEqual(lowGrayData);
+
+    const translucent = fill(new RnPng({ width: 6, height: 4, colorType: 4, zlibLib }),
+      (x, y) => [x * 40, y * 60]);
+    const translucentData = Array.from(translucent.getData(RnPng.PixelLayout.RGBA));
+    expect(translucent.optimize()).toEqual({ colorType: 4, depth: 8, paletteSize: 0 });
+    expect(decode(translucent.getBuffer())).toEqual(translucentData);
+  });
+
+  it('optimizes images with few colors to a palette', () => {
+    const colors = [[200, 0, 0, 255], [0, 200, 0, 128], [0, 0, 200, 255], [9, 9, 9, 0], [1, 2, 3, 255]];
+    const source = new RnPng({ width: 16, height: 16, colorType: 6, zlibLib })
+      .setBackground([40, 50, 60])
+      .setText('Comment', 'Kept');
+    for (let i = 0; i < 256; i++) {
+      source.setPixelAt([i % 16, Math.floor(i / 16)], colors[i % colors.length]);
+    }
+    const expected = Array.from(source.getData(RnPng.PixelLayout.RGBA));
+
+    const bufView = source.getBuffer({ optimize: true });
+    expect(source.getMetaData()).toEqual(expect.objectContaining({ colorType: 3, depth: 4 }));
+    expect(source.getPalette().length).toEqual(6);
+    expect(source.getTransparencies()).toEqual([128, 0]);
+    expect(source.getPalette()[source.getBackground()[0]]).toEqual([5, [40, 50, 60]]);
+    expect(Array.from(PNG.sync.read(Buffer.from(bufView)).data)).toEqual(expected);
+
+    const reloaded = new RnPng().from(bufView);
+    expect(Array.from(reloaded.getData(RnPng.PixelLayout.RGBA))).toEqual(expected);
+    expect(reloaded.getText('Comment')).toEqual('Kept');
+
+    const animation = RnPng.createAnimation({ width: 1, height: 1 });
+    expect(() => animation.optimize()).toThrow('Attempting to optimize an animation');
+  });
+
+  it('quantizes images to a limited palette', () => {
+    const source = new RnPng({ width: 24, height: 24, colorType: 6, zlibLib });
+    for (let y = 0; y < 24; y++) {
+      for (let x = 0; x < 24; x++) {
+        source.setPixelAt([x, y], [x * 11, y * 11, 255 - x * 5, y < 4 ? 0 : 255]);
+      }
+    }
+    const sourceData = source.getData(RnPng.PixelLayout.RGBA);
+    // The color of transparent pixels doesn't count.
+    const meanError = (data) => data.reduce((acc, sample, i) =>
+      acc + Math.abs(sample - sourceData[i]) * (i % 4 === 3 ? 255 : sourceData[i - i % 4 + 3]) / 255, 0)
+      / data.length;
+
+    Object.values(RnPng.QuantizationMethod).forEach((method) => {
+      [false, true].forEach((dither) => {
+        const quantized = source.quantize({ colors: 16, method, dither });
+        const data = Array.from(quantized.getData(RnPng.PixelLayout.RGBA));
+        expect(quantized.getMetaData()).toEqual(expect.objectContaining({ width: 24, height: 24, colorType: 3, depth: 4 }));
+        expect(quantized.getPalette().length).toBeLessThanOrEqual(16);
+        expect(quantized.getTransparencies()[0]).toEqual(0);
+        expect(meanError(data)).toBeLessThan(14);
+        expect(Array.from(PNG.sync.read(Buffer.from(quantized.getBuffer())).data)).toEqual(data);
+      });
+    });
+
+    const exact = createGradient(4, 4).quantize();
+    expect(exact.getMetaData().depth).toEqual(4);
+    expect(Array.from(exact.getData(RnPng.PixelLayout.RGBA)))
+      .toEqual(Array.from(createGradient(4, 4).getData(RnPng.PixelLayout.RGBA)));
+
+    const lastModified = new Date(Date.UTC(2020, 0, 1));
+    const described = createGradient(4, 4)
+      .setGamma(0.5)
+      .setDpi(300)
+      .setLastModified(lastModified)
+      .setText('Title', 'Gradient');
+    const quantized = described.quantize({ colors: 4 }).setGamma(1);
+    expect(quantized.getDpi()).toEqual({ x: 300, y: 300 });
+    expect(quantized.getLastModified()).toEqual(lastModified);
+    expect(quantized.getText('Title')).toEqual('Gradient');
+    expect(described.getGamma()).toEqual(0.5);
+
+    expect(() => source.quantize({ colors: 0 })).toThrow('Invalid number of colors');
+    expect(() => source.quantize({ colors: 257 })).toThrow('Invalid number of colors');
+    expect(() => source.quantize({ method: 'popularity' })).toThrow('Invalid quantization method');
+  });
+
+  it('converts images between color types and bit depths', () => {
+    const decode = (bufView) => Array.from(PNG.sync.read(Buffer.from(bufView)).data);
+    const rgba = (rnPng) => Array.from(rnPng.getData(RnPng.PixelLayout.RGBA));
+
+    const indexed = new RnPng({ width: 3, height: 1, zlibLib })
+      .setPixelAt(0, [255, 0, 0])
+      .setPixelAt(1, [0, 0, 255])
+      .setPixelAt(2, [255, 255, 255])
+      .setTransparency(100, 1);
+    const withBackground = new RnPng().applyZlibLib(zlibLib)
+      .from(insertChunksAfter(indexed.getBuffer(), 'tRNS', [buildChunk('bKGD', Uint8Array.from([2]))]));
+    const truecolor = withBackground.convertTo({ colorType: 6 });
+    expect(truecolor.getMetaData()).toEqual(expect.objectContaining({ colorType: 6, depth: 8 }));
+    expect(rgba(truecolor)).toEqual([255, 0, 0, 255, 0, 0, 255, 100, 255, 255, 255, 255]);
+    expect(Array.from(truecolor.getBackground())).toEqual([255, 255, 255]);
+    expect(decode(truecolor.getBuffer())).toEqual(rgba(truecolor));
+
+    const gray = truecolor.convertTo({ colorType: 4 });
+    expect(rgba(gray)).toEqual([76, 76, 76, 255, 29, 29, 29, 100, 255, 255, 255, 255]);
+    expect(Array.from(gray.getBackground())).toEqual([255]);
+
+    const wide = truecolor.convertTo({ depth: 16 });
+    expect(rgba(wide)).toEqual(rgba(truecolor).map((sample) => sample * 257));
+    expect(rgba(wide.convertTo({ depth: 8 }))).toEqual(rgba(truecolor));
+
+    const keyed = new RnPng({ width: 3, height: 1, colorType: 2, zlibLib })
+      .setPixelAt([0, 0], [0, 0, 0])
+      .setPixelAt([1, 0], [255, 255, 255])
+      .setPixelAt([2, 0], [128, 128, 128])
+      .setTransparency([0, 0, 0])
+      .setBackground([48, 48, 24]);
+    const lowGray = keyed.convertTo({ colorType: 0, depth: 2 });
+    expect(lowGray.getTransparencies()).toEqual([0]);
+    expect(Array.from(lowGray.getBackground())).toEqual([1]);
+    const lowGrayData = rgba(lowGray);
+    expect(lowGrayData).toEqual([0, 0, 0, 0, 255, 255, 255, 255, 170, 170, 170, 255]);
+    expect(decode(lowGray.getBuffer())).toEqual(lowGrayData);
+    expect(rgba(new RnPng().from(lowGray.getBuffer()))).toEqual(lowGrayData);
+
+    const opaque = truecolor.convertTo({ colorType: 2 });
+    expect(opaque.getTransparencies()).toEqual([]);
+    expect(rgba(opaque)).toEqual([255, 0, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+
+    const twoColors = createGradient(4, 4).convertTo({ colorType: 3, depth: 1 });
+    expect(twoColors.getPalette().length).toEqual(2);
+    expect(decode(twoColors.getBuffer())).toEqual(rgba(twoColors));
+
+    expect(() => truecolor.convertTo({ colorType: 5 })).toThrow('Invalid color type');
+    expect(() => truecolor.convertTo({ colorType: 2, depth: 4 })).toThrow('Invalid bit depth for color type');
+  });
+
+  it('keeps the metadata when converting images', () => {
+    const chromaticities = {
+      whitePoint: { x: 0.3127, y: 0.329 },
+      red: { x: 0.64, y: 0.33 },
+      green: { x: 0.3, y: 0.6 },
+      blue: { x: 0.15, y: 0.06 },
+    };
+    const source = createGradient(4, 4)
+      .setGamma(0.45455)
+      .setChromaticities(chromaticities)
+      .setIccProfile('Display', [1, 2, 3])
+      .setDpi(72)
+      .setText('Title', 'Gradient')
+      .setText('Comment', 'Verlauf', { language: 'de', compressed: true });
+    const bufView = insertChunksAfter(source.getBuffer(), 'IHDR', [
+      buildChunk('prVT', toBytes('depends on the image data')),
+      buildChunk('prVt', toBytes('safe to copy')),
+    ]);
+
+    const loaded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    const converted = loaded.convertTo({ colorType: 6, depth: 16 }).convertTo({ colorType: 2, depth: 8 });
+    const decoded = new RnPng().applyZlibLib(zlibLib).from(converted.getBuffer());
+    expect(decoded.getChunksUsed()).toEqual(
+      ['IHDR', 'gAMA', 'cHRM', 'iCCP', 'prVt', 'tEXt', 'iTXt', 'pHYs', 'IDAT', 'IEND']);
+    expect(decoded.getGamma()).toEqual(loaded.getGamma());
+    expect(decoded.getChromaticities()).toEqual(loaded.getChromaticities());
+    expect(decoded.getIccProfile()).toEqual(loaded.getIccProfile());
+    expect(decoded.getDpi()).toEqual({ x: 72, y: 72 });
+    expect(decoded.getTextEntries()).toEqual(loaded.getTextEntries());
+    expect(Array.from(decoded.getData())).toEqual(Array.from(loaded.getData()));
+  });
+
+  it('sets all pixels at once in the layouts of getData()', () => {
+    const { VALUE, INDEX_VALUE, RGB, RGBA } = RnPng.PixelLayout;
+    const decode = (bufView) => Array.from(PNG.sync.read(Buffer.from(bufView)).data);
+    const rgba = (rnPng) => Array.from(rnPng.getData(RGBA));
+
+    const gradient = createGradient(4, 4);
+    const truecolor = new RnPng({ width: 4, height: 4, colorType: 6, zlibLib })
+      .setData(gradient.getData(RGB), RGB);
+    expect(rgba(truecolor)).toEqual(rgba(gradient));
+    expect(decode(truecolor.getBuffer())).toEqual(rgba(gradient));
+
+    const indexed = new RnPng({ width: 2, height: 2, zlibLib })
+      .setData([255, 0, 0, 255, 0, 0, 255, 100, 255, 0, 0, 255, 0, 0, 0, 0], RGBA);
+    expect(Array.from(indexed.getData(INDEX_VALUE))).toEqual([2, 0, 2, 1]);
+    expect(indexed.getTransparencies()).toEqual([100, 0]);
+    expect(decode(indexed.getBuffer())).toEqual([255, 0, 0, 255, 0, 0, 255, 100, 255, 0, 0, 255, 0, 0, 0, 0]);
+
+    // Colors keep the transparency of their palette entry when no alpha is given.
+    indexed.setData([0, 0, 255, 0, 0, 0, 9, 9, 9, 0, 0, 255], VALUE);
+    expect(rgba(indexed)).toEqual([0, 0, 255, 100, 0, 0, 0, 0, 9, 9, 9, 255, 0, 0, 255, 100]);
+    indexed.setData([2, 2, 1, 0], INDEX_VALUE);
+    expect(rgba(indexed)).toEqual([9, 9, 9, 255, 9, 9, 9, 255, 0, 0, 0, 0, 0, 0, 255, 100]);
+
+    // Entries that share a color keep their own transparency.
+    const shared = new RnPng({ width: 3, height: 1, zlibLib })
+      .setData([9, 9, 9, 255, 9, 9, 9, 100, 9, 9, 9, 0], RGBA);
+    shared.setData(shared.getData(RGB), RGB);
+    expect(rgba(shared)).toEqual([9, 9, 9, 255, 9, 9, 9, 100, 9, 9, 9, 0]);
+
+    const gray = new RnPng({ width: 2, height: 1, colorType: 0, depth: 2, zlibLib }).setData([0, 170]);
+    expect(Array.from(gray.getData())).toEqual([0, 170]);
+    gray.setData([255, 255, 255, 255, 0, 0, 0, 0], RGBA);
+    expect(gray.getTransparencies()).toEqual([0]);
+    expect(rgba(new RnPng().from(gray.getBuffer()))).toEqual([255, 255, 255, 255, 0, 0, 0, 0]);
+
+    // Samples are rounded and clamped to the range of the bit depth.
+    const deep = new RnPng({ width: 1, height: 1, colorType: 2, depth: 16, zlibLib }).setData([1.5, -3, 70000], RGB);
+    expect(Array.from(deep.getData())).toEqual([2, 0, 65535]);
+    expect(Array.from(gray.setData([-1, 255.6]).getData())).toEqual([0, 255]);
+
+    expect(() => gray.setData([0, 0, 0, 100, 0, 0, 0, 255], RGBA))
+      .toThrow('Attempting to set opacities that require an alpha channel');
+    expect(() => gray.setData([0])).toThrow('Invalid number of samples supplied; expected 2');
+    expect(() => gray.setData([0, 0], INDEX_VALUE)).toThrow('Attempting to set palette indices when no palette exists');
+    expect(() => gray.getData(INDEX_VALUE)).toThrow('Attempt to get palette indices from a non-indexed image');
+    expect(() => indexed.setData([0, 0, 0, 5], INDEX_VALUE)).toThrow('Palette index found that exceeds palette size');
+    expect(() => new RnPng({ width: 3, height: 1, depth: 1 }).setData([1, 1, 1, 2, 2, 2, 3, 3, 3], RGB))
+      .toThrow('Maximum number of colors reached');
+  });
+
+  it('iterates over and maps pixels as RGBA', () => {
+    const visited = [];
+    const indexed = new RnPng({ width: 2, height: 2, zlibLib })
+      .setData([255, 0, 0, 255, 0, 0, 255, 100, 0, 255, 0, 255, 0, 0, 255, 100], RnPng.PixelLayout.RGBA)
+      .forEachPixel((rgba, x, y) => visited.push([x, y, rgba]));
+    expect(visited).toEqual([
+      [0, 0, [255, 0, 0, 255]],
+      [1, 0, [0, 0, 255, 100]],
+      [0, 1, [0, 255, 0, 255]],
+      [1, 1, [0, 0, 255, 100]],
+    ]);
+
+    indexed.mapPixels(([r, g, b, alpha], x) => (x ? [r, g, b, alpha] : [b, g, r, 255 - alpha]));
+    expect(Array.from(indexed.getData(RnPng.PixelLayout.RGBA)))
+      .toEqual([0, 0, 255, 0, 0, 0, 255, 100, 0, 255, 0, 0, 0, 0, 255, 100]);
+
+    const gray = new RnPng({ width: 2, height: 1, colorType: 4, depth: 16, zlibLib })
+      .mapPixels((rgba, x) => [65535, 0, 0, x * 65535]);
+    expect(Array.from(gray.getData())).toEqual([19595, 0, 19595, 65535]);
+
+    expect(() => gray.mapPixels(() => [0, 0, 0])).toThrow('Not enough samples returned for pixel; expected 4');
+
+    // Out of range samples are clamped rather than wrapped at every depth.
+    [8, 16].forEach((depth) => {
+      const maxValue = 2 ** depth - 1;
+      const clamped = new RnPng({ width: 1, height: 1, colorType: 6, depth, zlibLib })
+        .mapPixels(() => [maxValue + 5000, -5, 10.7, maxValue]);
+      expect(Array.from(clamped.getData())).toEqual([maxValue, 0, 11, maxValue]);
+    });
+  });
+
+  it('expands the palette indices of every pixel to their colors', () => {
+    const indexed = new RnPng({ width: 4, height: 1, zlibLib })
+      .setData([1, 2, 3, 4, 5, 6, 1, 2, 3, 4, 5, 6], RnPng.PixelLayout.RGB);
+    expect(Array.from(indexed.getData())).toEqual([1, 2, 3, 4, 5, 6, 1, 2, 3, 4, 5, 6]);
+
+    // Indices past the end of a loaded palette still fail for every pixel using them.
+    const truncated = listChunks(indexed.getBuffer()).map((chunk) =>
+      'PLTE' === chunk.header ? buildChunk('PLTE', Uint8Array.from([1, 2, 3])) : chunk.raw);
+    const rnPng = new RnPng({ zlibLib }).from(concatBuffers([indexed.getBuffer().subarray(0, 8), ...truncated]));
+    expect(() => rnPng.getData()).toThrow('Problem retrieving pixel data for palette index 1');
+  });
+
+  it('sets the opacity of individual pixels', () => {
+    const truecolor = new RnPng({ width: 2, height: 1, colorType: 6, zlibLib })
+      .setPixelAt([0, 0], [10, 20, 30, 255])
+      .setPixelAt([1, 0], [40, 50, 60, 255])
+      .setOpacityAt([1, 0], 100);
+    expect(Array.from(truecolor.getData())).toEqual([10, 20, 30, 255, 40, 50, 60, 100]);
+
+    const gray = new RnPng({ width: 2, height: 1, colorType: 4, zlibLib })
+      .setPixelAt([0, 0], [10, 255])
+      .setPixelAt([1, 0], [40, 255])
+      .setOpacityAt([0, 0], 100);
+    expect(Array.from(gray.getData())).toEqual([10, 100, 40, 255]);
+  });
+
+  it('writes and reads physical pixel dimensions', () => {
+    const source = createGradient(2, 2).setDpi(300);
+    const bufView = source.getBuffer();
+
+    const physChunk = listChunks(bufView).find((chunk) => chunk.header === 'pHYs');
+    expect(Array.from(physChunk.data)).toEqual([0, 0, 46, 35, 0, 0, 46, 35, 1]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getPhysicalDimensions()).toEqual({ x: 11811, y: 11811, unit: RnPng.PhysicalUnit.METRE });
+    expect(rnPng.getDpi()).toEqual({ x: 300, y: 300 });
+
+    rnPng.setPhysicalDimensions({ x: 2, y: 1, unit: RnPng.PhysicalUnit.UNKNOWN });
+    expect(rnPng.getPhysicalDimensions()).toEqual({ x: 2, y: 1, unit: RnPng.PhysicalUnit.UNKNOWN });
+    expect(rnPng.getDpi()).toBeUndefined();
+    expect(new RnPng().getPhysicalDimensions()).toBeUndefined();
+
+    expect(() => rnPng.setPhysicalDimensions({ x: 0, y: 1 })).toThrow('Invalid number of pixels per unit');
+    expect(() => rnPng.setPhysicalDimensions({ x: 1, y: 1, unit: 2 })).toThrow('Invalid physical unit');
+  });
+
+  it('rejects truncated chunks', () => {
+    const bufView = createGradient(4, 4).getBuffer();
+    expect(() => RnPng.parseChunks(bufView.subarray(0, bufView.length - 20)))
+      .toThrow(/Truncated/);
+  });
+
+  it('verifies chunk CRCs according to the verify mode', () => {
+    const bufView = createGradient(4, 4).setBackground([1, 2, 3]).getBuffer().slice();
+    const bkgd = RnPng.parseChunks(bufView).find((chunk) => chunk.type === 'bKGD');
+    bufView[bkgd.offset + 12 + bkgd.length - 1] ^= 0xff;
+
+    let error;
+    try {
+      new RnPng().applyZlibLib(zlibLib).from(bufView, { verify: 'strict' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(RnPng.ChecksumError);
+    expect(error.chunkType).toBe('bKGD');
+
+    const lenient = new RnPng().applyZlibLib(zlibLib).from(bufView, { verify: 'warn' });
+    expect(lenient.getLoadWarnings()).toEqual([
+      { chunkType: 'bKGD', message: `CRC mismatch in bKGD chunk at offset ${bkgd.offset}` },
+    ]);
+    expect(Array.from(lenient.getBackground())).toEqual([1, 2, 3]);
+
+    const unchecked = new RnPng().applyZlibLib(zlibLib).from(bufView, { verify: 'off' });
+    expect(unchecked.getLoadWarnings()).toEqual([]);
+
+    // Problems are collected rather than thrown by default.
+    expect(new RnPng().applyZlibLib(zlibLib).from(bufView).getLoadWarnings()).toEqual(lenient.getLoadWarnings());
+  });
+
+  it('verifies the Adler-32 checksum of the image data', () => {
+    const source = createGradient(4, 4);
+    const chunks = listChunks(source.getBuffer());
+    const idat = chunks.find((chunk) => chunk.header === 'IDAT');
+    const compressed = idat.data.slice();
+    compressed[compressed.length - 1] ^= 0xff;
+    const bufView = concatBuffers([
+      Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]),
+      ...chunks.map((chunk) => chunk === idat ? buildChunk('IDAT', compressed) : chunk.raw),
+    ]);
+
+    // Node's zlib rejects the data itself, but the mismatch is still reported
+    // according to the verify mode.
+    expect(() => zlib.inflateSync(compressed)).toThrow();
+    [zlibLib, null].forEach((lib) => {
+      expect(() => new RnPng({ zlibLib: lib }).from(bufView, { verify: 'strict' }))
+        .toThrow(RnPng.ChecksumError);
+
+      const lenient = new RnPng({ zlibLib: lib }).from(bufView, { verify: 'warn' });
+      expect(lenient.getLoadWarnings().map((warning) => warning.chunkType)).toEqual(['IDAT']);
+      expect(Array.from(lenient.getData())).toEqual(Array.from(source.getData()));
+
+      const unverified = new RnPng({ zlibLib: lib }).from(bufView, { verify: 'off' });
+      expect(unverified.getLoadWarnings()).toEqual([]);
+      expect(Array.from(unverified.getData())).toEqual(Array.from(source.getData()));
+    });
+  });
+
+  it('decodes images without a zlib library', () => {
+    const source = new PNG({ width: 20, height: 12 });
+    for (let i = 0; i < source.data.length; i++) {
+      source.data[i] = (i * 37) % 256;
+    }
+    const compressedText = buildChunk('zTXt', concatBuffers([toBytes('Comment'), Uint8Array.from([0, 0]),
+      zlib.deflateSync(toBytes('Built-in'))]));
+    const bufView = insertChunksAfter(Uint8Array.from(PNG.sync.write(source, { filterType: -1 })), 'IHDR',
+      [compressedText]);
+
+    const rnPng = new RnPng().from(bufView);
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(source.data));
+    expect(rnPng.getText('Comment')).toEqual('Built-in');
+
+    const chunks = listChunks(bufView);
+    const idat = chunks.find((chunk) => chunk.header === 'IDAT');
+    const compressed = idat.data.slice();
+    compressed[compressed.length - 1] ^= 0xff;
+    const corrupted = concatBuffers([
+      bufView.subarray(0, 8),
+      ...chunks.map((chunk) => chunk === idat ? buildChunk('IDAT', compressed) : chunk.raw),
+    ]);
+    expect(() => new RnPng().from(corrupted, { verify: 'strict' })).toThrow('Adler-32 checksum mismatch in IDAT data');
+    expect(new RnPng().from(corrupted).getLoadWarnings().length).toEqual(1);
+  });
+
+  it('encodes images without a zlib library', () => {
+    const source = createGradient(24, 16, { zlibLib: undefined, filter: 'adaptive' })
+      .setText('Comment', 'Built-in', { compressed: true });
+    const expected = Array.from(source.getData(RnPng.PixelLayout.RGBA));
+    const sizes = [0, 1, 9].map((compressionLevel) => {
+      const bufView = source.getBuffer({ compressionLevel });
+      expect(Array.from(PNG.sync.read(Buffer.from(bufView)).data)).toEqual(expected);
+      expect(new RnPng().from(bufView).getText('Comment')).toEqual('Built-in');
+      return bufView.length;
+    });
+    expect(sizes[1]).toBeLessThan(sizes[0]);
+    expect(sizes[2]).toBeLessThanOrEqual(sizes[1]);
+    expect(() => source.getBuffer({ compressionLevel: 10 })).toThrow('Invalid compression level');
+  });
+
+  it('passes the compression level to the zlib library', () => {
+    const levels = [];
+    const recordingLib = {
+      inflate: zlibLib.inflate,
+      deflate: (data, options) => {
+        levels.push(options.level);
+        return zlibLib.deflate(data, options);
+      },
+    };
+    const source = new RnPng({ width: 2, height: 2, zlibLib: recordingLib, compressionLevel: 3 });
+    source.getBuffer();
+    source.getBuffer({ compressionLevel: 9 });
+    new RnPng({ width: 2, height: 2, zlibLib: recordingLib }).getBuffer();
+    expect(levels).toEqual([3, 9, 6]);
+
+    // Compressed text and ICC profiles use the same level as the image data.
+    levels.length = 0;
+    const withMetaData = new RnPng({ width: 2, height: 2, zlibLib: recordingLib, compressionLevel: 2 })
+      .setText('Comment', 'Compressed', { compressed: true })
+      .setText('Title', 'Ünïcode', { compressed: true })
+      .setIccProfile('Profile', Uint8Array.from([1, 2, 3]));
+    withMetaData.getBuffer();
+    withMetaData.getBuffer({ compressionLevel: 8 });
+    expect(levels).toEqual([2, 2, 2, 2, 8, 8, 8, 8]);
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(withMetaData.getBuffer());
+    expect(rnPng.getText('Title')).toEqual('Ünïcode');
+  });
+
+  it('accepts image data followed by zero padding', () => {
+    const source = createGradient(4, 4);
+    const chunks = listChunks(source.getBuffer());
+    const idat = chunks.find((chunk) => chunk.header === 'IDAT');
+    const bufView = concatBuffers([
+      Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]),
+      ...chunks.map((chunk) => chunk === idat
+        ? buildChunk('IDAT', concatBuffers([idat.data, new Uint8Array(6)]))
+        : chunk.raw),
+    ]);
+
+    const rnPng = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(rnPng.getLoadWarnings()).toEqual([]);
+    expect(Array.from(rnPng.getData())).toEqual(Array.from(source.getData()));
+  });
+
+  it('writes image data as multiple IDAT chunks of a configurable size', () => {
+    const source = createGradient(8, 6);
+    const bufView = source.getBuffer({ idatChunkSize: 16 });
+    const idats = listChunks(bufView).filter((chunk) => chunk.header === 'IDAT');
+
+    expect(idats.length).toBeGreaterThan(1);
+    idats.forEach((chunk) => expect(chunk.data.length).toBeLessThanOrEqual(16));
+
+    const decoded = PNG.sync.read(Buffer.from(bufView));
+    expect(Array.from(decoded.data)).toEqual(Array.from(source.getData(RnPng.PixelLayout.RGBA)));
+
+    const reloaded = new RnPng().applyZlibLib(zlibLib).from(bufView);
+    expect(Array.from(reloaded.getData())).toEqual(Array.from(source.getData()));
+  });
+
+  it('sizes image data by its compressed length', () => {
+    const source = new RnPng({ width: 64, height: 64, colorType: 6, zlibLib });
+    const bufView = source.getBuffer();
+    const chunks = RnPng.parseChunks(bufView);
+    const idat = chunks.find((chunk) => 'IDAT' === chunk.type);
+
+    expect(idat.length).toEqual(zlib.deflateSync(new Uint8Array((64 * 4 + 1) * 64)).length);
+    expect(idat.length).toBeLessThan(64 * 64 * 4);
+    expect(bufView.length).toEqual(chunks.reduce((acc, chunk) => acc + chunk.length + 12, 8));
+    expect(Array.from(PNG.sync.read(Buffer.from(bufView)).data)).toEqual(new Array(64 * 64 * 4).fill(0));
+  });
+
+  it('uses the IDAT chunk size supplied to the constructor', () => {
+    const source = new RnPng({ width: 8, height: 8, colorType: 0, zlibLib, idatChunkSize: 5 });
+    const idats = listChunks(source.getBuffer()).filter((chunk) => chunk.header === 'IDAT');
+    expect(idats.length).toBeGreaterThan(1);
+    idats.forEach((chunk) => expect(chunk.data.length).toBeLessThanOrEqual(5));
+    expect(() => source.getBuffer({ idatChunkSize: -1 })).toThrow('Invalid IDAT chunk size');
+  });
 });
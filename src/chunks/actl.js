@@ -0,0 +1,63 @@
+/**
+ * The APNG animation control chunk: the number of frames and how many times to
+ * play them.
+ * @see https://wiki.mozilla.org/APNG_Specification#.60acTL.60:_The_Animation_Control_Chunk
+ */
+import Chunk from './chunk';
+import { readUint32At } from '../util/typed-array';
+
+const HEADER = 'acTL';
+const PAYLOAD_SIZE = 8;
+
+export default class acTL extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._numberOfFrames = options.numberOfFrames || 0;
+    this._numberOfPlays = options.numberOfPlays || 0;
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  get numberOfFrames() {
+    return this._numberOfFrames;
+  }
+
+  set numberOfFrames(value) {
+    this._numberOfFrames = value;
+  }
+
+  get numberOfPlays() {
+    return this._numberOfPlays;
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint32(this._numberOfFrames);
+    this.buffer.writeUint32(this._numberOfPlays);
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for acTL chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._numberOfFrames = readUint32At(abuf, dataOffset) >>> 0;
+    this._numberOfPlays = readUint32At(abuf, dataOffset + 4) >>> 0;
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
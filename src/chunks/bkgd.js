@@ -4,6 +4,7 @@ import {
   readUint16At,
 } from '../util/typed-array';
 import {
+  createSampleArray,
   determineBackgroundSamplesPerEntry,
   isIndexed,
 } from '../util/png-pixels';
@@ -15,8 +16,10 @@ export default class bKGD extends Chunk {
     super(HEADER);
     
     this._colorType = options.colorType;
-    // This will need to change if we support greater than 8 bit samples
-    this._backgroundColor = new Uint8ClampedArray(determineBackgroundSamplesPerEntry(this._colorType));
+    this._backgroundColor = createSampleArray(
+      options.depth,
+      determineBackgroundSamplesPerEntry(this._colorType)
+    );
 
     const chunkLength = this.calculateChunkLength();
     this.initialize(chunkLength);
@@ -27,16 +30,18 @@ export default class bKGD extends Chunk {
   }
 
   update() {
+    const chunkLength = this.calculateChunkLength();
     const payloadSize = this.calculatePayloadSize();
 
+    this.initialize(chunkLength);
     this.buffer.writeUint32(payloadSize);
     this.buffer.writeString8(HEADER);
 
     if (isIndexed(this._colorType)) {
-      this.buffer.writeUint8(this._backgroundColor[0]); 
+      this.buffer.writeUint8(this._backgroundColor[0]);
     } else {
       for (let i = 0; i < this._backgroundColor.length; i++) {
-        this.buffer.writeUint16(this._backgroundColor[i], true); 
+        this.buffer.writeUint16(this._backgroundColor[i]);
       }
     }
 
@@ -48,19 +53,14 @@ export default class bKGD extends Chunk {
     const chunkLength = this.calculateChunkLength();
     this.initialize(chunkLength);
 
-    const backgroundInfo = abuf.subarray(
-      this.calculateDataOffset(),
-      this.calculateDataOffset() + this.calculatePayloadSize()
-    );
-
     const dataOffset = this.calculateDataOffset();
     let color = [];
     if (isIndexed(this._colorType)) {
-      color.push(readUint8At(backgroundInfo, dataOffset));
+      color.push(readUint8At(abuf, dataOffset));
     } else {
       const numberOfSamples = determineBackgroundSamplesPerEntry(this._colorType);
       for (let i = 0, offset = dataOffset; i < numberOfSamples; i++, offset += 2) {
-        color.push(readUint16At(backgroundInfo, dataOffset, true));
+        color.push(readUint16At(abuf, offset));
       }
     }
     this.setBackgroundColor(color);
@@ -0,0 +1,68 @@
+/**
+ * "The cHRM chunk may be used to specify the 1931 CIE x,y chromaticities of the
+ * red, green, and blue display primaries used in the image, and the referenced
+ * white point."  Each value is stored times 100000.
+ * @see https://www.w3.org/TR/PNG/#11cHRM
+ */
+import Chunk from './chunk';
+import { readUint32At } from '../util/typed-array';
+
+const HEADER = 'cHRM';
+const PAYLOAD_SIZE = 32;
+const CHROMATICITY_SCALE = 100000;
+const POINTS = ['whitePoint', 'red', 'green', 'blue'];
+
+export default class cHRM extends Chunk {
+  constructor() {
+    super(HEADER);
+
+    this._values = new Array(POINTS.length * 2).fill(0);
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this._values.forEach((value) => this.buffer.writeUint32(value));
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for cHRM chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._values = this._values.map((value, i) => readUint32At(abuf, dataOffset + i * 4) >>> 0);
+  }
+
+  getChromaticities() {
+    return POINTS.reduce((acc, point, i) => {
+      acc[point] = {
+        x: this._values[i * 2] / CHROMATICITY_SCALE,
+        y: this._values[i * 2 + 1] / CHROMATICITY_SCALE,
+      };
+      return acc;
+    }, {});
+  }
+
+  setChromaticities(chromaticities) {
+    this._values = POINTS.reduce((acc, point) => acc.concat(
+      Math.round(chromaticities[point].x * CHROMATICITY_SCALE),
+      Math.round(chromaticities[point].y * CHROMATICITY_SCALE)
+    ), []);
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
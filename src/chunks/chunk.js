@@ -1,14 +1,20 @@
 import ArrayBufferWrapper from '../util/array-buffer-wrapper';
 import { calculateCrc32 } from '../util/crc';
+import { readUint32At } from '../util/typed-array';
 
 export const CHUNK_LENGTH_SIZE = 4;
 export const CHUNK_HEADER_SIZE = 4;
 export const CHUNK_CRC32_SIZE = 4;
 
+// Bit 5 of the fourth chunk type byte is set for safe-to-copy chunks.
+// @see https://www.w3.org/TR/PNG/#5Chunk-naming-conventions
+const SAFE_TO_COPY_BIT = 0x20;
+
 export default class Chunk {
   constructor(header) {
     this._abw = null;
     this._header = header;
+    this._position = null;
   }
 
   initialize(size) {
@@ -23,6 +29,18 @@ export default class Chunk {
     return this._header;
   }
 
+  /**
+   * Where the chunk appears relative to the PLTE and IDAT chunks.  Only used for
+   * chunks that may be placed in more than one position.
+   */
+  get position() {
+    return this._position;
+  }
+
+  set position(value) {
+    this._position = value;
+  }
+
   /*
    * Move this to ArrayBufferWrapper, or least move the logic there.
    */
@@ -52,6 +70,27 @@ export default class Chunk {
     return calculateCrc32(this.buffer, CHUNK_LENGTH_SIZE, size);
   }
 
+  /**
+   * Writes the complete chunk for an already encoded payload.
+   */
+  writePayload(payload) {
+    this.initialize(CHUNK_LENGTH_SIZE + CHUNK_HEADER_SIZE + payload.length + CHUNK_CRC32_SIZE);
+    this.buffer.writeUint32(payload.length);
+    this.buffer.writeString8(this.header);
+    this.buffer.copyFrom(payload);
+    this.buffer.stepOffset(payload.length);
+    this.buffer.writeUint32(calculateCrc32(this.buffer, CHUNK_LENGTH_SIZE, CHUNK_HEADER_SIZE + payload.length));
+  }
+
+  readPayload(abuf) {
+    const dataOffset = this.calculateDataOffset();
+    return abuf.subarray(dataOffset, dataOffset + (readUint32At(abuf, 0) >>> 0));
+  }
+
+  isSafeToCopy() {
+    return 0 !== (this.header.charCodeAt(3) & SAFE_TO_COPY_BIT);
+  }
+
   isRequired() {
     return false;
   }
@@ -0,0 +1,89 @@
+/**
+ * The APNG frame control chunk: the region, timing and compositing of a frame.
+ * @see https://wiki.mozilla.org/APNG_Specification#.60fcTL.60:_The_Frame_Control_Chunk
+ */
+import Chunk from './chunk';
+import {
+  readUint8At,
+  readUint16At,
+  readUint32At,
+} from '../util/typed-array';
+import { DisposeOps, BlendOps } from '../util/constants';
+
+const HEADER = 'fcTL';
+const PAYLOAD_SIZE = 26;
+
+export default class fcTL extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._sequenceNumber = options.sequenceNumber || 0;
+    this._frameControl = {
+      width: options.width || 0,
+      height: options.height || 0,
+      x: options.x || 0,
+      y: options.y || 0,
+      delayNumerator: options.delayNumerator || 0,
+      delayDenominator: options.delayDenominator || 0,
+      dispose: options.dispose || DisposeOps.NONE,
+      blend: options.blend || BlendOps.SOURCE,
+    };
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  get sequenceNumber() {
+    return this._sequenceNumber;
+  }
+
+  getFrameControl() {
+    return Object.assign({}, this._frameControl);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    const frameControl = this._frameControl;
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint32(this._sequenceNumber);
+    this.buffer.writeUint32(frameControl.width);
+    this.buffer.writeUint32(frameControl.height);
+    this.buffer.writeUint32(frameControl.x);
+    this.buffer.writeUint32(frameControl.y);
+    this.buffer.writeUint16(frameControl.delayNumerator);
+    this.buffer.writeUint16(frameControl.delayDenominator);
+    this.buffer.writeUint8(frameControl.dispose);
+    this.buffer.writeUint8(frameControl.blend);
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for fcTL chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._sequenceNumber = readUint32At(abuf, dataOffset) >>> 0;
+    this._frameControl = {
+      width: readUint32At(abuf, dataOffset + 4) >>> 0,
+      height: readUint32At(abuf, dataOffset + 8) >>> 0,
+      x: readUint32At(abuf, dataOffset + 12) >>> 0,
+      y: readUint32At(abuf, dataOffset + 16) >>> 0,
+      delayNumerator: readUint16At(abuf, dataOffset + 20),
+      delayDenominator: readUint16At(abuf, dataOffset + 22),
+      dispose: readUint8At(abuf, dataOffset + 24),
+      blend: readUint8At(abuf, dataOffset + 25),
+    };
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * The APNG frame data chunk: a sequence number followed by image data in the
+ * same format as that of IDAT chunks.
+ * @see https://wiki.mozilla.org/APNG_Specification#.60fdAT.60:_The_Frame_Data_Chunk
+ */
+import Chunk from './chunk';
+import { readUint32At, writeUint32At } from '../util/typed-array';
+
+const HEADER = 'fdAT';
+const SEQUENCE_NUMBER_SIZE = 4;
+
+export default class fdAT extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._sequenceNumber = options.sequenceNumber || 0;
+    this._data = options.data || new Uint8Array(0);
+  }
+
+  get sequenceNumber() {
+    return this._sequenceNumber;
+  }
+
+  get data() {
+    return this._data;
+  }
+
+  update() {
+    const payload = new Uint8Array(this.calculatePayloadSize());
+    writeUint32At(payload, 0, this._sequenceNumber);
+    payload.set(this._data, SEQUENCE_NUMBER_SIZE);
+    this.writePayload(payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    if (payload.length < SEQUENCE_NUMBER_SIZE) {
+      throw new Error('Invalid payload size supplied for fdAT chunk');
+    }
+
+    this._sequenceNumber = readUint32At(payload, 0) >>> 0;
+    this._data = payload.slice(SEQUENCE_NUMBER_SIZE);
+  }
+
+  calculatePayloadSize() {
+    return SEQUENCE_NUMBER_SIZE + this._data.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * "The gAMA chunk specifies a gamma value."  The value is stored times 100000.
+ * @see https://www.w3.org/TR/PNG/#11gAMA
+ */
+import Chunk from './chunk';
+import { readUint32At } from '../util/typed-array';
+
+const HEADER = 'gAMA';
+const PAYLOAD_SIZE = 4;
+const GAMMA_SCALE = 100000;
+
+export default class gAMA extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._gamma = Math.round((options.gamma || 0) * GAMMA_SCALE);
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint32(this._gamma);
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for gAMA chunk');
+    }
+    this._gamma = readUint32At(abuf, this.calculateDataOffset()) >>> 0;
+  }
+
+  getGamma() {
+    return this._gamma / GAMMA_SCALE;
+  }
+
+  setGamma(value) {
+    this._gamma = Math.round(value * GAMMA_SCALE);
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
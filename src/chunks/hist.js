@@ -0,0 +1,63 @@
+/**
+ * "The hIST chunk gives the approximate usage frequency of each colour in the
+ * palette."  There is one 16 bit frequency per palette entry.
+ * @see https://www.w3.org/TR/PNG/#11hIST
+ */
+import Chunk from './chunk';
+import {
+  readUint16At,
+  readUint32At,
+} from '../util/typed-array';
+
+const HEADER = 'hIST';
+const BYTES_PER_FREQUENCY = 2;
+
+export default class hIST extends Chunk {
+  constructor() {
+    super(HEADER);
+
+    this._frequencies = [];
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(this.calculatePayloadSize());
+    this.buffer.writeString8(HEADER);
+    this._frequencies.forEach((frequency) => this.buffer.writeUint16(frequency));
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    const payloadSize = readUint32At(abuf, 0);
+    if (0 !== payloadSize % BYTES_PER_FREQUENCY) {
+      throw new Error('Invalid payload size supplied for hIST chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._frequencies = [];
+    for (let offset = 0; offset < payloadSize; offset += BYTES_PER_FREQUENCY) {
+      this._frequencies.push(readUint16At(abuf, dataOffset + offset));
+    }
+  }
+
+  getFrequencies() {
+    return this._frequencies.slice();
+  }
+
+  setFrequencies(frequencies) {
+    this._frequencies = frequencies.slice();
+  }
+
+  calculatePayloadSize() {
+    return this._frequencies.length * BYTES_PER_FREQUENCY;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * An embedded ICC profile, stored compressed along with the profile's name.
+ * @see https://www.w3.org/TR/PNG/#11iCCP
+ */
+import Chunk from './chunk';
+import { DEFAULT_COMPRESSION_LEVEL } from '../util/constants';
+import { concatByteArrays } from '../util/typed-array';
+import { inflate } from '../util/inflate';
+import { deflate } from '../util/deflate';
+import { encodeLatin1, decodeLatin1 } from '../util/text-encoding';
+
+const HEADER = 'iCCP';
+const COMPRESSION_METHOD = 0;
+
+export default class iCCP extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._name = options.name || '';
+    this._profile = options.profile || new Uint8Array(0);
+    this._zlibLib = options.zlibLib || null;
+    this._compressionLevel = DEFAULT_COMPRESSION_LEVEL;
+    this._payload = new Uint8Array(0);
+  }
+
+  applyZlibLib(lib) {
+    this._zlibLib = lib;
+  }
+
+  /**
+   * The zlib compression level, from 0 to 9, of the profile written.
+   */
+  set compressionLevel(value) {
+    this._compressionLevel = value;
+  }
+
+  getProfile() {
+    return {
+      name: this._name,
+      profile: this._profile,
+    };
+  }
+
+  update() {
+    this._payload = concatByteArrays([
+      encodeLatin1(this._name),
+      [0, COMPRESSION_METHOD],
+      this._compress(this._profile),
+    ]);
+    this.writePayload(this._payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    const separator = payload.indexOf(0);
+    if (separator < 1) {
+      throw new Error('Missing profile name in iCCP chunk');
+    }
+    if (COMPRESSION_METHOD !== payload[separator + 1]) {
+      throw new Error('Invalid compression method in iCCP chunk');
+    }
+
+    this._name = decodeLatin1(payload.subarray(0, separator));
+    const compressedProfile = payload.subarray(separator + 2);
+    this._profile = Uint8Array.from(this._zlibLib
+      ? this._zlibLib.inflate(compressedProfile)
+      : inflate(compressedProfile));
+  }
+
+  _compress(profile) {
+    const options = { level: this._compressionLevel };
+    return this._zlibLib ? this._zlibLib.deflate(profile, options) : deflate(profile, options);
+  }
+
+  calculatePayloadSize() {
+    return this._payload.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
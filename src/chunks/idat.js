@@ -1,6 +1,14 @@
-import Chunk, { CHUNK_CRC32_SIZE } from './chunk';
+import Chunk, {
+  CHUNK_LENGTH_SIZE,
+  CHUNK_HEADER_SIZE,
+  CHUNK_CRC32_SIZE,
+} from './chunk';
 import {
+  BitDepths,
   ChunkHeaderSequences,
+  DEFAULT_COMPRESSION_LEVEL,
+  FilterTypes,
+  InterlaceMethods,
   PixelLayouts,
 } from '../util/constants';
 import {
@@ -13,10 +21,11 @@ import {
   determinePixelColorSize,
   determineFullPixelSize,
   determineDataRowLength,
+  createSampleArray,
   formatPixels,
 } from '../util/png-pixels';
 import {
-  indexOfSequence,
+  isSequenceAt,
   packByteData,
   unpackByteData,
   readUint32At,
@@ -26,10 +35,18 @@ import {
   addFilterFields,
   removeFilterFields,
 } from '../util/compress-decompress';
+import { calculateCrc32 } from '../util/crc';
+import { calculateAdler32 } from '../util/adler32';
+import { inflate } from '../util/inflate';
+import { deflate } from '../util/deflate';
+import {
+  computeAdam7Passes,
+  isPassEmpty,
+  gatherPassPixels,
+  scatterPassPixels,
+} from '../util/interlace';
 
 const HEADER = 'IDAT';
-const DEFLATE_BLOCKS_SIZE = 2;
-const ZLIB_HEADER_SIZE = 5;
 const ADLER_CHECKSUM_SIZE = 4;
 
 export default class IDAT extends Chunk {
@@ -41,26 +58,30 @@ export default class IDAT extends Chunk {
       height: options.height,
       depth: options.depth,
       colorType: options.colorType,
+      interlace: options.interlace,
       numberOfPixels: options.numberOfPixels,
     });
 
     this._zlibLib = null;
+    this._isAdler32Valid = true;
+    this._idatChunkSize = options.idatChunkSize || 0;
+    this._filterType = options.filterType || FilterTypes.NONE;
+    this._compressionLevel = 'undefined' !== typeof options.compressionLevel
+      ? options.compressionLevel
+      : DEFAULT_COMPRESSION_LEVEL;
+    this._compressedPixelAndFilterData = null;
     this._initializePixelData();
-
-    this._should;
-    this._hold;
   }
 
   getData(pixelLayout, pixelData, trnsData) {
     if (PixelLayouts.INDEX_VALUE === pixelLayout) {
-      if (isIndexed(this._colorType)) {
+      if (!isIndexed(this._colorType)) {
         throw new Error('Attempt to get palette indices from a non-indexed image');
-      } else {
-        return pixelData;
       }
+      return this._pixelData;
     }
     if (PixelLayouts.RGB === pixelLayout || PixelLayouts.RGBA === pixelLayout) {
-      return formatPixels(this._colorType, this._width, this._height, pixelLayout, pixelData, trnsData);
+      return formatPixels(this._colorType, this._width, this._height, pixelLayout, pixelData, trnsData, this._depth);
     }
     return pixelData;
   }
@@ -72,6 +93,10 @@ export default class IDAT extends Chunk {
     return this._pixelData;
   }
 
+  set pixelData(value) {
+    this._pixelData = value;
+  }
+
   set width(value) {
     this._width = value;
   }
@@ -88,11 +113,34 @@ export default class IDAT extends Chunk {
     this._numberOfPixels = value;
   }
 
+  /**
+   * The maximum payload size of each IDAT chunk written.  A falsy value writes
+   * all image data to a single chunk.
+   */
+  set idatChunkSize(value) {
+    this._idatChunkSize = value;
+  }
+
+  /**
+   * One of the FilterTypes values, used for the scanlines written.
+   */
+  set filterType(value) {
+    this._filterType = value;
+  }
+
+  /**
+   * The zlib compression level, from 0 to 9, of the image data written.
+   */
+  set compressionLevel(value) {
+    this._compressionLevel = value;
+  }
+
   applyLayoutInformation(info) {
     this._width = info.width;
     this._height = info.height;
     this._depth = info.depth;
     this._colorType = info.colorType;
+    this._interlace = info.interlace;
     this._numberOfPixels = info.numberOfPixels;
 
     this._pixelColorSize = determinePixelColorSize(this._colorType);
@@ -100,57 +148,49 @@ export default class IDAT extends Chunk {
   }
 
   update() {
-    const chunkLength = this.calculateChunkLength();
-    const payloadSize = this.calculatePayloadSize();
-
-    this.initialize(chunkLength);
-    this.buffer.writeUint32(payloadSize);
-    this.buffer.writeString8(HEADER);
-
-    const packedPixelData = Uint8ClampedArray.from(
-      packByteData(this._pixelData, this._depth, !isIndexed(this._colorType))
-    );
-
-    const dataRowLength = determineDataRowLength(this._depth, this._colorType, this._width);
-    const pixelAndFilterData = Uint8ClampedArray.from(
-      addFilterFields(
-        packedPixelData,
-        dataRowLength,
-        this._height
-      )
-    );
-
-    const compressedPixelAndFilterData = this._zlibLib.deflate(pixelAndFilterData);
-    this.buffer.copyFrom(compressedPixelAndFilterData);
+    this._compressedPixelAndFilterData = Uint8Array.from(this.compressPixelData());
+    this.initialize(this.calculateChunkLength());
+    this._writeChunks(this._compressedPixelAndFilterData);
+  }
 
-    const crc = this.calculateCrc32();
-    this.buffer.writeUint32At(chunkLength - CHUNK_CRC32_SIZE, crc);
+  /**
+   * Filters and compresses the pixel data into the zlib stream stored by IDAT
+   * (and APNG fdAT) chunks.
+   */
+  compressPixelData() {
+    const pixelAndFilterData = InterlaceMethods.ADAM7 === this._interlace
+      ? this._encodeInterlacedScanlines()
+      : this._encodeScanlines(this._pixelData, this._width, this._height);
+
+    const options = { level: this._compressionLevel };
+    return this._zlibLib
+      ? this._zlibLib.deflate(pixelAndFilterData, options)
+      : deflate(pixelAndFilterData, options);
   }
 
   load(abuf) {
     const chunkLength = this.calculateChunkLength();
     this.initialize(chunkLength);
 
-    const payloadSize = readUint32At(abuf, 0);
-    const dataOffset = this.calculateDataOffset();
-    const compressedZlibData = abuf.subarray(dataOffset, dataOffset + payloadSize);
-    const uncompressedData = this._zlibLib.inflate(compressedZlibData);
+    // The checksum is verified by the caller, according to the verify mode.
+    this.decompressPixelData(this._collectCompressedData(abuf));
+  }
 
-    const dataRowLength = determineDataRowLength(this._depth, this._colorType, this._width);
-    const bytesPerPixel = determineBytesPerPixel(this._depth, this._colorType);
+  /**
+   * Decompresses and defilters the zlib stream stored by IDAT (and APNG fdAT)
+   * chunks into the pixel data.
+   */
+  decompressPixelData(compressedZlibData) {
+    const uncompressedData = this._inflate(compressedZlibData);
 
-    defilter(uncompressedData, dataRowLength, bytesPerPixel);
-    const pixelOnlyData = Uint8ClampedArray.from(
-      removeFilterFields(
-        uncompressedData,
-        dataRowLength,
-        this._height
-      )
-    );
+    // The checksum has to be calculated before defiltering modifies the data.
+    this._isAdler32Valid = this._isAdler32Stored(compressedZlibData, calculateAdler32(uncompressedData));
 
-    this._pixelData = Uint8ClampedArray.from(
-      unpackByteData(pixelOnlyData, this._depth, !isIndexed(this._colorType))
-    );
+    if (InterlaceMethods.ADAM7 === this._interlace) {
+      this._pixelData = this._decodeInterlacedScanlines(uncompressedData);
+      return;
+    }
+    this._pixelData = this._decodeScanlines(uncompressedData, this._width, this._height);
   }
 
   setPixelOf(index, pixel) {
@@ -168,14 +208,18 @@ export default class IDAT extends Chunk {
     this._setAlpha(index, value);
   }
 
-  verify(bufView) {
-    return indexOfSequence(bufView, ChunkHeaderSequences[HEADER]) !== -1;
-  }
-
   applyZlibLib(lib) {
     this._zlibLib = lib;
   }
 
+  /**
+   * Whether the Adler-32 checksum at the end of the loaded zlib stream matched
+   * the decompressed data.
+   */
+  isAdler32Valid() {
+    return this._isAdler32Valid;
+  }
+
   getValueOf(index) {
     return this._pixelData[index];
   }
@@ -190,7 +234,7 @@ export default class IDAT extends Chunk {
     }
 
     const fullPixelSize = determineFullPixelSize(this._colorType);
-    if (index + fullPixelSize >= this._pixelData.length) {
+    if (index + fullPixelSize > this._pixelData.length) {
       throw new Error('Trying to get a value beyond the range of pixel data');
     }
 
@@ -207,28 +251,259 @@ export default class IDAT extends Chunk {
   }
 
   calculatePixelAndFilterSize() {
-    return this.calculateDataSize() + this._height;
+    if (InterlaceMethods.ADAM7 === this._interlace) {
+      return computeAdam7Passes(this._width, this._height).reduce((acc, pass) => {
+        if (isPassEmpty(pass)) {
+          return acc;
+        }
+        return acc + (determineDataRowLength(this._depth, this._colorType, pass.width) + 1) * pass.height;
+      }, 0);
+    }
+    return (determineDataRowLength(this._depth, this._colorType, this._width) + 1) * this._height;
+  }
+
+  /**
+   * The size of the zlib stream produced by the last update(), as the size of
+   * compressed data can't be known before compressing it.
+   */
+  calculatePayloadSize() {
+    return this._compressedPixelAndFilterData
+      ? this._compressedPixelAndFilterData.byteLength
+      : 0;
   }
 
-  calculatePayloadSize(pixelAndFilterSize = -1) {
-    if (pixelAndFilterSize === -1) {
-      pixelAndFilterSize = this.calculatePixelAndFilterSize();
+  calculateNumberOfChunks(payloadSize = -1) {
+    if (payloadSize === -1) {
+      payloadSize = this.calculatePayloadSize();
+    }
+    if (!this._idatChunkSize) {
+      return 1;
     }
-    return DEFLATE_BLOCKS_SIZE
-      + pixelAndFilterSize  // Row filter and pixel data
-      + ZLIB_HEADER_SIZE * Math.floor((0xfffe + pixelAndFilterSize) / 0xffff)  // Zlib blocks
-      + ADLER_CHECKSUM_SIZE;
+    return Math.max(1, Math.ceil(payloadSize / this._idatChunkSize));
   }
 
   calculateChunkLength(payloadSize = -1) {
     if (payloadSize === -1) {
       payloadSize = this.calculatePayloadSize();
     }
-    return super.calculateChunkLength() + payloadSize;
+    return super.calculateChunkLength() * this.calculateNumberOfChunks(payloadSize) + payloadSize;
+  }
+
+  _writeChunks(compressedData) {
+    const numberOfChunks = this.calculateNumberOfChunks(compressedData.byteLength);
+    const chunkPayloadSize = this._idatChunkSize || compressedData.byteLength;
+
+    for (let i = 0; i < numberOfChunks; i++) {
+      const payload = compressedData.subarray(i * chunkPayloadSize, (i + 1) * chunkPayloadSize);
+      const crcStart = this.buffer.offset + CHUNK_LENGTH_SIZE;
+
+      this.buffer.writeUint32(payload.byteLength);
+      this.buffer.writeString8(HEADER);
+      this.buffer.copyFrom(payload);
+      this.buffer.stepOffset(payload.byteLength);
+      this.buffer.writeUint32(calculateCrc32(this.buffer, crcStart, CHUNK_HEADER_SIZE + payload.byteLength));
+    }
+  }
+
+  /**
+   * Encoders commonly split the image data across several consecutive IDAT chunks.
+   * Their payloads, joined in order, form a single zlib stream.
+   */
+  _collectCompressedData(abuf) {
+    const payloads = [];
+    let totalSize = 0;
+    let offset = 0;
+
+    while (isSequenceAt(abuf, ChunkHeaderSequences[HEADER], offset + CHUNK_LENGTH_SIZE)) {
+      const payloadSize = readUint32At(abuf, offset);
+      const dataOffset = offset + CHUNK_LENGTH_SIZE + CHUNK_HEADER_SIZE;
+      payloads.push(abuf.subarray(dataOffset, dataOffset + payloadSize));
+      totalSize += payloadSize;
+      offset = dataOffset + payloadSize + CHUNK_CRC32_SIZE;
+    }
+
+    if (1 === payloads.length) {
+      return payloads[0];
+    }
+
+    const compressedZlibData = new Uint8Array(totalSize);
+    payloads.reduce((acc, payload) => {
+      compressedZlibData.set(payload, acc);
+      return acc + payload.byteLength;
+    }, 0);
+    return compressedZlibData;
+  }
+
+  _encodeScanlines(pixelData, width, height) {
+    const dataRowLength = determineDataRowLength(this._depth, this._colorType, width);
+    const bytesPerPixel = determineBytesPerPixel(this._depth, this._colorType);
+    return addFilterFields(
+      this._packRows(pixelData, width, height),
+      dataRowLength,
+      height,
+      bytesPerPixel,
+      this._determineFilterType()
+    );
+  }
+
+  /**
+   * Filtering rarely pays off for indexed images and those with fewer than 8 bits
+   * per sample, so adaptive filtering leaves them unfiltered.
+   * @see https://www.w3.org/TR/PNG/#12Filter-selection
+   */
+  _determineFilterType() {
+    if (FilterTypes.ADAPTIVE === this._filterType
+      && (isIndexed(this._colorType) || this._depth < BitDepths.EIGHT)) {
+      return FilterTypes.NONE;
+    }
+    return this._filterType;
+  }
+
+  /**
+   * Writes the reduced image of each non-empty Adam7 pass, one after another.
+   */
+  _encodeInterlacedScanlines() {
+    const fullPixelSize = determineFullPixelSize(this._colorType);
+    const pixelAndFilterData = new Uint8ClampedArray(this.calculatePixelAndFilterSize());
+    let offset = 0;
+
+    computeAdam7Passes(this._width, this._height).forEach((pass) => {
+      if (isPassEmpty(pass)) {
+        return;
+      }
+
+      const passPixelData = gatherPassPixels(this._pixelData, pass, this._width, fullPixelSize);
+      const passData = this._encodeScanlines(passPixelData, pass.width, pass.height);
+      pixelAndFilterData.set(passData, offset);
+      offset += passData.byteLength;
+    });
+
+    return pixelAndFilterData;
+  }
+
+  _decodeScanlines(pixelAndFilterData, width, height) {
+    const dataRowLength = determineDataRowLength(this._depth, this._colorType, width);
+    const bytesPerPixel = determineBytesPerPixel(this._depth, this._colorType);
+
+    defilter(pixelAndFilterData, dataRowLength, bytesPerPixel);
+    const pixelOnlyData = removeFilterFields(
+      pixelAndFilterData,
+      dataRowLength,
+      height
+    );
+
+    return this._unpackRows(pixelOnlyData, width, height);
+  }
+
+  /**
+   * Each of the seven passes is a reduced image with its own scanlines and filter
+   * bytes, stored one after another in the decompressed stream.
+   */
+  _decodeInterlacedScanlines(pixelAndFilterData) {
+    const fullPixelSize = determineFullPixelSize(this._colorType);
+    const pixelData = createSampleArray(this._depth, this.calculateDataSize());
+    let offset = 0;
+
+    computeAdam7Passes(this._width, this._height).forEach((pass) => {
+      if (isPassEmpty(pass)) {
+        return;
+      }
+
+      const dataRowLength = determineDataRowLength(this._depth, this._colorType, pass.width);
+      const passSize = (dataRowLength + 1) * pass.height;
+      const passPixelData = this._decodeScanlines(
+        pixelAndFilterData.subarray(offset, offset + passSize),
+        pass.width,
+        pass.height
+      );
+
+      scatterPassPixels(pixelData, passPixelData, pass, this._width, fullPixelSize);
+      offset += passSize;
+    });
+
+    return pixelData;
+  }
+
+  _packRows(pixelData, width, height) {
+    const translateValues = !isIndexed(this._colorType);
+    if (this._depth >= BitDepths.EIGHT) {
+      return Uint8ClampedArray.from(packByteData(pixelData, this._depth, translateValues));
+    }
+
+    // Each scanline of sub-byte samples starts on a byte boundary, so rows are
+    // padded out before packing.
+    const dataRowLength = determineDataRowLength(this._depth, this._colorType, width);
+    const samplesPerRow = width * determineFullPixelSize(this._colorType);
+    const paddedRowData = new Uint8ClampedArray(dataRowLength * BitDepths.EIGHT / this._depth);
+    const packedData = new Uint8ClampedArray(dataRowLength * height);
+
+    for (let y = 0; y < height; y++) {
+      paddedRowData.fill(0);
+      paddedRowData.set(pixelData.subarray(y * samplesPerRow, (y + 1) * samplesPerRow));
+      packedData.set(packByteData(paddedRowData, this._depth, translateValues), y * dataRowLength);
+    }
+    return packedData;
+  }
+
+  _unpackRows(pixelOnlyData, width, height) {
+    const translateValues = !isIndexed(this._colorType);
+    if (this._depth >= BitDepths.EIGHT) {
+      return unpackByteData(pixelOnlyData, this._depth, translateValues);
+    }
+
+    // Scanlines of sub-byte samples are padded to a whole byte, so any excess
+    // samples at the end of each row need to be dropped.
+    const dataRowLength = determineDataRowLength(this._depth, this._colorType, width);
+    const samplesPerRow = width * determineFullPixelSize(this._colorType);
+    const pixelData = new Uint8ClampedArray(samplesPerRow * height);
+
+    for (let y = 0; y < height; y++) {
+      const rowData = pixelOnlyData.subarray(y * dataRowLength, (y + 1) * dataRowLength);
+      pixelData.set(
+        unpackByteData(rowData, this._depth, translateValues).subarray(0, samplesPerRow),
+        y * samplesPerRow
+      );
+    }
+    return pixelData;
+  }
+
+  /**
+   * The checksum ends the zlib stream.  Image data written by earlier versions of
+   * this library may be followed by zero padding, so the checksum can also sit
+   * immediately before trailing zeros.
+   */
+  _isAdler32Stored(compressedZlibData, adler32) {
+    let end = compressedZlibData.byteLength;
+    while (end >= ADLER_CHECKSUM_SIZE) {
+      if ((readUint32At(compressedZlibData, end - ADLER_CHECKSUM_SIZE) >>> 0) === adler32) {
+        return true;
+      }
+      if (0 !== compressedZlibData[end - 1]) {
+        return false;
+      }
+      end--;
+    }
+    return false;
+  }
+
+  /**
+   * zlib libraries reject data whose checksum doesn't match, so such data is
+   * inflated again with the built-in inflate, which leaves the checksum to the
+   * verify mode.  Data that is corrupt in other ways fails there too.
+   */
+  _inflate(compressedZlibData) {
+    if (!this._zlibLib) {
+      return inflate(compressedZlibData, { verifyChecksum: false });
+    }
+    try {
+      return this._zlibLib.inflate(compressedZlibData);
+    } catch (error) {
+      return inflate(compressedZlibData, { verifyChecksum: false });
+    }
   }
 
   _initializePixelData() {
-    this._pixelData = new Uint8ClampedArray(this.calculateDataSize());
+    this._pixelData = createSampleArray(this._depth, this.calculateDataSize());
   }
 
   _setSingleValuePixel(index, value) {
@@ -236,7 +511,8 @@ export default class IDAT extends Chunk {
   }
 
   _setAlpha(index, value) {
-    this._pixelData[index + 3] = value; // alpha
+    // The alpha sample follows the color samples of the pixel.
+    this._pixelData[index + determinePixelColorSize(this._colorType)] = value;
   }
 
   _setSamples(startIndex, value) {
@@ -1,6 +1,4 @@
-import Chunk, { CHUNK_LENGTH_SIZE } from './chunk';
-import { ChunkHeaderSequences } from '../util/constants';
-import { indexOfSequence } from '../util/typed-array';
+import Chunk from './chunk';
 
 const HEADER = 'IEND';
 const PAYLOAD_SIZE = 0;
@@ -18,8 +16,4 @@ export default class IEND extends Chunk {
     this.buffer.writeString8(HEADER);
     this.buffer.writeUint32(this.calculateCrc32());
   }
-
-  verify(bufView) {
-    return indexOfSequence(bufView, ChunkHeaderSequences[HEADER], bufView.byteLength - this.calculateChunkLength() + CHUNK_LENGTH_SIZE) !== -1;
-  }
 }
@@ -1,7 +1,5 @@
 import Chunk, { CHUNK_LENGTH_SIZE, CHUNK_HEADER_SIZE } from './chunk';
-import { ChunkHeaderSequences } from '../util/constants';
 import {
-  indexOfSequence,
   readUint8At,
   readUint32At,
 } from '../util/typed-array';
@@ -44,10 +42,6 @@ export default class IDHR extends Chunk {
     this._extractMetaData(abuf);
   }
 
-  verify(bufView) {
-    return indexOfSequence(bufView, ChunkHeaderSequences[HEADER]) !== -1;
-  }
-
   _extractMetaData(abuf) {
     let offset = CHUNK_LENGTH_SIZE + CHUNK_HEADER_SIZE;
 
@@ -0,0 +1,116 @@
+/**
+ * International textual data: UTF-8 text, optionally compressed, with a language
+ * tag and a translation of the keyword.
+ * @see https://www.w3.org/TR/PNG/#11iTXt
+ */
+import Chunk from './chunk';
+import { DEFAULT_COMPRESSION_LEVEL } from '../util/constants';
+import { concatByteArrays } from '../util/typed-array';
+import { inflate } from '../util/inflate';
+import { deflate } from '../util/deflate';
+import {
+  encodeLatin1,
+  decodeLatin1,
+  encodeUtf8,
+  decodeUtf8,
+} from '../util/text-encoding';
+
+const HEADER = 'iTXt';
+const COMPRESSION_METHOD = 0;
+
+export default class iTXt extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._keyword = options.keyword || '';
+    this._text = options.text || '';
+    this._compressed = !!options.compressed;
+    this._language = options.language || '';
+    this._translatedKeyword = options.translatedKeyword || '';
+    this._zlibLib = options.zlibLib || null;
+    this._compressionLevel = DEFAULT_COMPRESSION_LEVEL;
+    this._payload = new Uint8Array(0);
+  }
+
+  get keyword() {
+    return this._keyword;
+  }
+
+  applyZlibLib(lib) {
+    this._zlibLib = lib;
+  }
+
+  /**
+   * The zlib compression level, from 0 to 9, used when the text is compressed.
+   */
+  set compressionLevel(value) {
+    this._compressionLevel = value;
+  }
+
+  getEntry() {
+    return {
+      chunkType: HEADER,
+      keyword: this._keyword,
+      text: this._text,
+      compressed: this._compressed,
+      language: this._language,
+      translatedKeyword: this._translatedKeyword,
+    };
+  }
+
+  update() {
+    const text = encodeUtf8(this._text);
+    this._payload = concatByteArrays([
+      encodeLatin1(this._keyword),
+      [0, this._compressed ? 1 : 0, COMPRESSION_METHOD],
+      encodeLatin1(this._language),
+      [0],
+      encodeUtf8(this._translatedKeyword),
+      [0],
+      this._compressed ? this._compress(text) : text,
+    ]);
+    this.writePayload(this._payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    const keywordEnd = payload.indexOf(0);
+    if (keywordEnd < 1) {
+      throw new Error('Missing keyword in iTXt chunk');
+    }
+
+    const languageStart = keywordEnd + 3;
+    const languageEnd = payload.indexOf(0, languageStart);
+    const translatedKeywordEnd = languageEnd === -1 ? -1 : payload.indexOf(0, languageEnd + 1);
+    if (translatedKeywordEnd === -1) {
+      throw new Error('Truncated iTXt chunk');
+    }
+
+    this._keyword = decodeLatin1(payload.subarray(0, keywordEnd));
+    this._compressed = 1 === payload[keywordEnd + 1];
+    this._language = decodeLatin1(payload.subarray(languageStart, languageEnd));
+    this._translatedKeyword = decodeUtf8(payload.subarray(languageEnd + 1, translatedKeywordEnd));
+
+    let text = payload.subarray(translatedKeywordEnd + 1);
+    if (this._compressed) {
+      if (COMPRESSION_METHOD !== payload[keywordEnd + 2]) {
+        throw new Error('Invalid compression method in iTXt chunk');
+      }
+      text = this._zlibLib ? this._zlibLib.inflate(text) : inflate(text);
+    }
+    this._text = decodeUtf8(text);
+  }
+
+  _compress(text) {
+    const options = { level: this._compressionLevel };
+    return this._zlibLib ? this._zlibLib.deflate(text, options) : deflate(text, options);
+  }
+
+  calculatePayloadSize() {
+    return this._payload.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
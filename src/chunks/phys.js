@@ -0,0 +1,74 @@
+/**
+ * "The pHYs chunk specifies the intended pixel size or aspect ratio for display
+ * of the image."
+ * @see https://www.w3.org/TR/PNG/#11pHYs
+ */
+import Chunk from './chunk';
+import {
+  readUint8At,
+  readUint32At,
+} from '../util/typed-array';
+import { PhysicalUnits } from '../util/constants';
+
+const HEADER = 'pHYs';
+const PAYLOAD_SIZE = 9;
+
+export default class pHYs extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._x = options.x || 0;
+    this._y = options.y || 0;
+    this._unit = options.unit || PhysicalUnits.UNKNOWN;
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint32(this._x);
+    this.buffer.writeUint32(this._y);
+    this.buffer.writeUint8(this._unit);
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for pHYs chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this.setDimensions({
+      x: readUint32At(abuf, dataOffset) >>> 0,
+      y: readUint32At(abuf, dataOffset + 4) >>> 0,
+      unit: readUint8At(abuf, dataOffset + 8),
+    });
+  }
+
+  getDimensions() {
+    return {
+      x: this._x,
+      y: this._y,
+      unit: this._unit,
+    };
+  }
+
+  setDimensions({ x, y, unit }) {
+    this._x = x;
+    this._y = y;
+    this._unit = unit;
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -114,11 +114,13 @@ export default class PLTE extends Chunk {
 
   convertToPixels(paletteIndices) {
     let pixelData = new Uint8ClampedArray(paletteIndices.length * 3);
+    // Entries are looked up once rather than for every pixel.
+    let colors = [];
     let n = 0;
 
     for (let i = 0; i < paletteIndices.length; i++) {
       let paletteIndex = paletteIndices[i];
-      let pixel = this.getColorOf(paletteIndex);
+      let pixel = colors[paletteIndex] || (colors[paletteIndex] = this.getColorOf(paletteIndex));
 
       if ('undefined' === typeof pixel || !Array.isArray(pixel) || 3 !== pixel.length) {
         throw new Error(`Problem retrieving pixel data for palette index ${paletteIndex}`);
@@ -1,5 +1,5 @@
 import Chunk from './chunk';
-import { indexOfSequence } from '../util/typed-array';
+import { isSequenceAt } from '../util/typed-array';
 
 const PREFIX = '\x89PNG\r\n\x1A\n';
 const VERIFY_SEQUENCE = [137, 80, 78, 71];
@@ -16,7 +16,7 @@ export default class Prefix extends Chunk {
   }
 
   verify(bufView) {
-    return indexOfSequence(bufView, VERIFY_SEQUENCE, 0, this.calculateChunkLength()) !== -1;
+    return isSequenceAt(bufView, VERIFY_SEQUENCE, 0);
   }
 
   calculateChunkLength() {
@@ -0,0 +1,34 @@
+import Chunk from './chunk';
+
+/**
+ * A chunk that RnPng doesn't interpret.  Its data is kept untouched so that it
+ * can be written back out, in the same position relative to PLTE and IDAT.
+ */
+export default class RawChunk extends Chunk {
+  constructor(options) {
+    super(options.header);
+
+    this.position = options.position;
+    this._data = options.data || new Uint8Array(0);
+  }
+
+  get data() {
+    return this._data;
+  }
+
+  update() {
+    this.writePayload(this._data);
+  }
+
+  load(abuf) {
+    this._data = this.readPayload(abuf).slice();
+  }
+
+  calculatePayloadSize() {
+    return this._data.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
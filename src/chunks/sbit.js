@@ -0,0 +1,62 @@
+/**
+ * "To simplify decoders, PNG specifies that only certain sample depths may be
+ * used... The sBIT chunk defines the original number of significant bits (which
+ * can be less than or equal to the sample depth)."
+ * @see https://www.w3.org/TR/PNG/#11sBIT
+ */
+import Chunk from './chunk';
+import {
+  readUint8At,
+  readUint32At,
+} from '../util/typed-array';
+import { determineSignificantBitsSamplesPerEntry } from '../util/png-pixels';
+
+const HEADER = 'sBIT';
+
+export default class sBIT extends Chunk {
+  constructor(options) {
+    super(HEADER);
+
+    this._colorType = options.colorType;
+    this._significantBits = new Array(this.calculatePayloadSize()).fill(0);
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(this.calculatePayloadSize());
+    this.buffer.writeString8(HEADER);
+    this._significantBits.forEach((value) => this.buffer.writeUint8(value));
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    const payloadSize = this.calculatePayloadSize();
+    if (payloadSize !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for sBIT chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._significantBits = this._significantBits.map((value, i) => readUint8At(abuf, dataOffset + i));
+  }
+
+  getSignificantBits() {
+    return this._significantBits.slice();
+  }
+
+  setSignificantBits(significantBits) {
+    this._significantBits = significantBits.slice();
+  }
+
+  calculatePayloadSize() {
+    return determineSignificantBitsSamplesPerEntry(this._colorType);
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
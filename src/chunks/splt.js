@@ -0,0 +1,101 @@
+/**
+ * A suggested palette, for displaying the image on devices with a limited number
+ * of colors.  Each entry holds an RGBA color of the palette's sample depth and a
+ * relative usage frequency.
+ * @see https://www.w3.org/TR/PNG/#11sPLT
+ */
+import Chunk from './chunk';
+import ArrayBufferWrapper from '../util/array-buffer-wrapper';
+import { BitDepths } from '../util/constants';
+import { readUint16At } from '../util/typed-array';
+import { encodeLatin1, decodeLatin1 } from '../util/text-encoding';
+
+const HEADER = 'sPLT';
+const SAMPLES_PER_ENTRY = 4;
+const FREQUENCY_SIZE = 2;
+
+const determineEntrySize = (depth) =>
+  SAMPLES_PER_ENTRY * depth / BitDepths.EIGHT + FREQUENCY_SIZE;
+
+export default class sPLT extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._name = options.name || '';
+    this._depth = options.depth || BitDepths.EIGHT;
+    this._entries = options.entries || [];
+    this._payload = new Uint8Array(0);
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  getPalette() {
+    return {
+      name: this._name,
+      depth: this._depth,
+      entries: this._entries.map((entry) => ({
+        color: entry.color.slice(),
+        frequency: entry.frequency,
+      })),
+    };
+  }
+
+  update() {
+    const name = encodeLatin1(this._name);
+    const entries = new ArrayBufferWrapper(this._entries.length * determineEntrySize(this._depth));
+    this._entries.forEach((entry) => {
+      entry.color.forEach((sample) => BitDepths.SIXTEEN === this._depth
+        ? entries.writeUint16(sample)
+        : entries.writeUint8(sample));
+      entries.writeUint16(entry.frequency);
+    });
+
+    this._payload = new Uint8Array(name.length + 2 + entries.bufferView.length);
+    this._payload.set(name);
+    this._payload[name.length + 1] = this._depth;
+    this._payload.set(entries.bufferView, name.length + 2);
+    this.writePayload(this._payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    const separator = payload.indexOf(0);
+    if (separator < 1) {
+      throw new Error('Missing palette name in sPLT chunk');
+    }
+
+    const depth = payload[separator + 1];
+    const entrySize = determineEntrySize(depth);
+    const entryData = payload.subarray(separator + 2);
+    if ((BitDepths.EIGHT !== depth && BitDepths.SIXTEEN !== depth) || 0 !== entryData.length % entrySize) {
+      throw new Error('Invalid sample depth or size supplied for sPLT chunk');
+    }
+
+    const sampleSize = depth / BitDepths.EIGHT;
+    this._name = decodeLatin1(payload.subarray(0, separator));
+    this._depth = depth;
+    this._entries = [];
+    for (let offset = 0; offset < entryData.length; offset += entrySize) {
+      const color = [];
+      for (let i = 0; i < SAMPLES_PER_ENTRY; i++) {
+        color.push(BitDepths.SIXTEEN === depth
+          ? readUint16At(entryData, offset + i * sampleSize)
+          : entryData[offset + i]);
+      }
+      this._entries.push({
+        color,
+        frequency: readUint16At(entryData, offset + SAMPLES_PER_ENTRY * sampleSize),
+      });
+    }
+  }
+
+  calculatePayloadSize() {
+    return this._payload.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * "If the sRGB chunk is present, the image samples conform to the sRGB colour
+ * space and should be displayed using the specified rendering intent"
+ * @see https://www.w3.org/TR/PNG/#11sRGB
+ */
+import Chunk from './chunk';
+import {
+  readUint8At,
+  readUint32At,
+} from '../util/typed-array';
+import { RenderingIntents } from '../util/constants';
+
+const HEADER = 'sRGB';
+const PAYLOAD_SIZE = 1;
+
+export default class sRGB extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._intent = options.intent || RenderingIntents.PERCEPTUAL;
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint8(this._intent);
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for sRGB chunk');
+    }
+    this._intent = readUint8At(abuf, this.calculateDataOffset());
+  }
+
+  getIntent() {
+    return this._intent;
+  }
+
+  setIntent(intent) {
+    this._intent = intent;
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * "Textual information that the encoder wishes to record with the image"
+ * @see https://www.w3.org/TR/PNG/#11tEXt
+ */
+import Chunk from './chunk';
+import { concatByteArrays } from '../util/typed-array';
+import { encodeLatin1, decodeLatin1 } from '../util/text-encoding';
+
+const HEADER = 'tEXt';
+
+export default class tEXt extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._keyword = options.keyword || '';
+    this._text = options.text || '';
+    this._payload = new Uint8Array(0);
+  }
+
+  get keyword() {
+    return this._keyword;
+  }
+
+  getEntry() {
+    return {
+      chunkType: HEADER,
+      keyword: this._keyword,
+      text: this._text,
+      compressed: false,
+      language: '',
+      translatedKeyword: '',
+    };
+  }
+
+  update() {
+    this._payload = concatByteArrays([
+      encodeLatin1(this._keyword),
+      [0],
+      encodeLatin1(this._text),
+    ]);
+    this.writePayload(this._payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    const separator = payload.indexOf(0);
+    if (separator < 1) {
+      throw new Error('Missing keyword in tEXt chunk');
+    }
+
+    this._keyword = decodeLatin1(payload.subarray(0, separator));
+    this._text = decodeLatin1(payload.subarray(separator + 1));
+  }
+
+  calculatePayloadSize() {
+    return this._payload.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
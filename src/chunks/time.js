@@ -0,0 +1,73 @@
+/**
+ * "The tIME chunk gives the time of the last image modification (not the time of
+ * initial image creation)."  Times are stored in UTC.
+ * @see https://www.w3.org/TR/PNG/#11tIME
+ */
+import Chunk from './chunk';
+import {
+  readUint8At,
+  readUint16At,
+  readUint32At,
+} from '../util/typed-array';
+
+const HEADER = 'tIME';
+const PAYLOAD_SIZE = 7;
+const MILLISECONDS_PER_SECOND = 1000;
+
+export default class tIME extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._date = options.date || new Date(0);
+
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+  }
+
+  update() {
+    const chunkLength = this.calculateChunkLength();
+    this.initialize(chunkLength);
+
+    this.buffer.writeUint32(PAYLOAD_SIZE);
+    this.buffer.writeString8(HEADER);
+    this.buffer.writeUint16(this._date.getUTCFullYear());
+    this.buffer.writeUint8(this._date.getUTCMonth() + 1);
+    this.buffer.writeUint8(this._date.getUTCDate());
+    this.buffer.writeUint8(this._date.getUTCHours());
+    this.buffer.writeUint8(this._date.getUTCMinutes());
+    this.buffer.writeUint8(this._date.getUTCSeconds());
+    this.buffer.writeUint32(this.calculateCrc32());
+  }
+
+  load(abuf) {
+    if (PAYLOAD_SIZE !== readUint32At(abuf, 0)) {
+      throw new Error('Invalid payload size supplied for tIME chunk');
+    }
+
+    const dataOffset = this.calculateDataOffset();
+    this._date = new Date(Date.UTC(
+      readUint16At(abuf, dataOffset),
+      readUint8At(abuf, dataOffset + 2) - 1,
+      readUint8At(abuf, dataOffset + 3),
+      readUint8At(abuf, dataOffset + 4),
+      readUint8At(abuf, dataOffset + 5),
+      readUint8At(abuf, dataOffset + 6)
+    ));
+  }
+
+  getDate() {
+    return new Date(this._date.getTime());
+  }
+
+  setDate(date) {
+    this._date = new Date(Math.floor(date.getTime() / MILLISECONDS_PER_SECOND) * MILLISECONDS_PER_SECOND);
+  }
+
+  calculatePayloadSize() {
+    return PAYLOAD_SIZE;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
@@ -96,7 +96,7 @@ export default class tRNS extends Chunk {
         this.setTransparency([r, g, b]);
       }
     } else if (isGrayscale(this._colorType)) {
-      for (let i = 0, n = 0; i < suppliedLimit; i += samplesPerEntry, n += 1) {
+      for (let i = 0; i < suppliedLimit; i += 2) {
         this.setTransparency([readUint16At(transparencyInfo, i)]);
       }
     } else {
@@ -0,0 +1,90 @@
+/**
+ * "The zTXt and tEXt chunks are semantically equivalent, but the zTXt chunk is
+ * recommended for storing large blocks of text."
+ * @see https://www.w3.org/TR/PNG/#11zTXt
+ */
+import Chunk from './chunk';
+import { DEFAULT_COMPRESSION_LEVEL } from '../util/constants';
+import { concatByteArrays } from '../util/typed-array';
+import { inflate } from '../util/inflate';
+import { deflate } from '../util/deflate';
+import { encodeLatin1, decodeLatin1 } from '../util/text-encoding';
+
+const HEADER = 'zTXt';
+const COMPRESSION_METHOD = 0;
+
+export default class zTXt extends Chunk {
+  constructor(options = {}) {
+    super(HEADER);
+
+    this._keyword = options.keyword || '';
+    this._text = options.text || '';
+    this._zlibLib = options.zlibLib || null;
+    this._compressionLevel = DEFAULT_COMPRESSION_LEVEL;
+    this._payload = new Uint8Array(0);
+  }
+
+  get keyword() {
+    return this._keyword;
+  }
+
+  applyZlibLib(lib) {
+    this._zlibLib = lib;
+  }
+
+  /**
+   * The zlib compression level, from 0 to 9, of the text written.
+   */
+  set compressionLevel(value) {
+    this._compressionLevel = value;
+  }
+
+  getEntry() {
+    return {
+      chunkType: HEADER,
+      keyword: this._keyword,
+      text: this._text,
+      compressed: true,
+      language: '',
+      translatedKeyword: '',
+    };
+  }
+
+  update() {
+    const text = encodeLatin1(this._text);
+    this._payload = concatByteArrays([
+      encodeLatin1(this._keyword),
+      [0, COMPRESSION_METHOD],
+      this._compress(text),
+    ]);
+    this.writePayload(this._payload);
+  }
+
+  load(abuf) {
+    const payload = this.readPayload(abuf);
+    const separator = payload.indexOf(0);
+    if (separator < 1) {
+      throw new Error('Missing keyword in zTXt chunk');
+    }
+    if (COMPRESSION_METHOD !== payload[separator + 1]) {
+      throw new Error('Invalid compression method in zTXt chunk');
+    }
+
+    this._keyword = decodeLatin1(payload.subarray(0, separator));
+    const compressedText = payload.subarray(separator + 2);
+    this._text = decodeLatin1(this._zlibLib ? this._zlibLib.inflate(compressedText) : inflate(compressedText));
+  }
+
+  _compress(text) {
+    const options = { level: this._compressionLevel };
+    return this._zlibLib ? this._zlibLib.deflate(text, options) : deflate(text, options);
+  }
+
+  calculatePayloadSize() {
+    return this._payload.length;
+  }
+
+  calculateChunkLength() {
+    return super.calculateChunkLength() + this.calculatePayloadSize();
+  }
+}
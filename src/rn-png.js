@@ -1,15 +1,42 @@
 import {
   SupportedChunks,
-  ChunkHeaderSequences,
   BitDepths,
+  BlendOps,
   ColorTypes,
+  ColorTypeBitDepths,
+  ChunkPositions,
+  DisposeOps,
+  FilterTypes,
+  InterlaceMethods,
+  PaletteSortOrders,
   PixelLayouts,
+  PhysicalUnits,
+  QuantizationMethods,
+  RenderingIntents,
+  TextChunks,
+  VerifyModes,
   DEFAULT_COMPRESSION,
+  DEFAULT_COMPRESSION_LEVEL,
   DEFAULT_FILTER,
   DEFAULT_INTERLACE,
 } from './util/constants';
-import { CHUNK_LENGTH_SIZE } from './chunks/chunk';
-import { indexOfSequence } from './util/typed-array';
+import { CHUNK_LENGTH_SIZE, CHUNK_HEADER_SIZE } from './chunks/chunk';
+import { parseChunks } from './util/chunk-parser';
+import { calculateCrc32 } from './util/crc';
+import { ChecksumError } from './util/errors';
+import { isLatin1, isValidKeyword } from './util/text-encoding';
+import { correctGammaToSrgb } from './util/gamma';
+import { compositeFrames } from './util/apng';
+import {
+  AlphaModes,
+  findSmallestRepresentation,
+  analyzeAlpha,
+  buildPalette,
+} from './util/optimize';
+import { quantizePixels, findNearestEntry } from './util/quantize';
+import { convertPixels } from './util/convert';
+import { validateCompressionLevel } from './util/deflate';
+import { concatByteArrays } from './util/typed-array';
 import {
   isIndexed,
   isGrayscale,
@@ -20,15 +47,41 @@ import {
   determinePixelColorSize,
   computeNumberOfPixels,
   computeMaxNumberOfColors,
-  determineFullPixelSize
+  determineFullPixelSize,
+  createSampleArray,
+  determineMaxSampleValue,
+  determineSignificantBitsSamplesPerEntry,
+  scaleSamplesTo8Bit,
+  hashPixelData,
+  hashRgbaAt,
+  determineGrayscaleStep,
+  selectSamples,
+  toChunkColor,
+  computeLuma,
 } from './util/png-pixels';
 import Prefix from './chunks/prefix';
 import IHDR from './chunks/ihdr';
+import gAMA from './chunks/gama';
+import cHRM from './chunks/chrm';
+import sRGB from './chunks/srgb';
+import iCCP from './chunks/iccp';
+import sBIT from './chunks/sbit';
+import hIST from './chunks/hist';
+import sPLT from './chunks/splt';
 import tRNS from './chunks/trns';
 import PLTE from './chunks/plte';
 import bKGD from './chunks/bkgd';
+import pHYs from './chunks/phys';
 import IDAT from './chunks/idat';
+import tIME from './chunks/time';
+import acTL from './chunks/actl';
+import fcTL from './chunks/fctl';
+import fdAT from './chunks/fdat';
 import IEND from './chunks/iend';
+import tEXt from './chunks/text';
+import zTXt from './chunks/ztxt';
+import iTXt from './chunks/itxt';
+import RawChunk from './chunks/raw';
 
 let _chunks = new WeakMap();
 let _buffer = new WeakMap();
@@ -40,6 +93,27 @@ let _compression = new WeakMap();
 let _filter = new WeakMap();
 let _interlace = new WeakMap();
 let _zlibLib = new WeakMap();
+let _idatChunkSize = new WeakMap();
+let _filterType = new WeakMap();
+let _compressionLevel = new WeakMap();
+let _timestamp = new WeakMap();
+let _loadWarnings = new WeakMap();
+// The last frame composited by getFrame(), until the image changes
+let _frameCache = new WeakMap();
+
+const METRES_PER_INCH = 0.0254;
+const MAX_PIXELS_PER_UNIT = 0xffffffff;
+const MAX_SCALED_VALUE = 0xffffffff / 100000;
+const MAX_FREQUENCY = 0xffff;
+// Chunks that may occur more than once, or that RnPng doesn't interpret, in file order
+let _extraChunks = new WeakMap();
+
+// Extra chunks are written immediately before these chunks, according to their position.
+const ExtraChunkPlacements = {
+  PLTE: ChunkPositions.BEFORE_PLTE,
+  IDAT: ChunkPositions.BEFORE_IDAT,
+  IEND: ChunkPositions.AFTER_IDAT,
+};
 
 const _applyMetaData = (ctxt, metaData) => {
   const validBitDepths = Object.values(BitDepths);
@@ -47,15 +121,20 @@ const _applyMetaData = (ctxt, metaData) => {
     throw new Error('Invalid bit depth');
   }
 
-  if (metaData.depth > BitDepths.EIGHT) {
-    throw new Error('Invalid bit depth');
-  }
-
   const validColorTypes = Object.values(ColorTypes);
   if (!validColorTypes.includes(metaData.colorType)) {
     throw new Error('Invalid color type');
   }
 
+  if (!ColorTypeBitDepths[metaData.colorType].includes(metaData.depth)) {
+    throw new Error('Invalid bit depth for color type');
+  }
+
+  const validInterlaceMethods = Object.values(InterlaceMethods);
+  if (!validInterlaceMethods.includes(metaData.interlace)) {
+    throw new Error('Invalid interlace method');
+  }
+
   _width.set(ctxt, metaData.width);
   _height.set(ctxt, metaData.height);
   _depth.set(ctxt, metaData.depth);
@@ -96,6 +175,7 @@ const _initializeChunks = (ctxt, metaData) => {
       height,
       depth,
       colorType,
+      interlace,
       numberOfPixels,
       maxNumberOfColors,
       zlibLib,
@@ -112,49 +192,643 @@ const _initializeChunks = (ctxt, metaData) => {
   _chunks.set(ctxt, chunks);
 };
 
-const _updateChunks = (ctxt) => {
-  const chunks = _chunks.get(ctxt);
+const _validateIdatChunkSize = (idatChunkSize) => {
+  if (idatChunkSize && (!Number.isInteger(idatChunkSize) || idatChunkSize < 1)) {
+    throw new Error('Invalid IDAT chunk size');
+  }
+};
 
-  chunks.prefix.update();
-  const existingChunkTypes = Object.keys(chunks);
-  SupportedChunks.forEach((chunkType) => {
-    if (-1 === existingChunkTypes.indexOf(chunkType)) {
-      return;
-    }
-    chunks[chunkType].update();
+const _validateFilterType = (filterType) => {
+  if (!Object.values(FilterTypes).includes(filterType)) {
+    throw new Error('Invalid filter type');
+  }
+};
+
+const _applyEncodingOptions = (ctxt, options) => {
+  const idatChunkSize = 'undefined' !== typeof options.idatChunkSize
+    ? options.idatChunkSize
+    : _idatChunkSize.get(ctxt);
+  _validateIdatChunkSize(idatChunkSize);
+
+  const filterType = 'undefined' !== typeof options.filter
+    ? options.filter
+    : _filterType.get(ctxt);
+  _validateFilterType(filterType);
+
+  const compressionLevel = 'undefined' !== typeof options.compressionLevel
+    ? options.compressionLevel
+    : _compressionLevel.get(ctxt);
+  validateCompressionLevel(compressionLevel);
+
+  _chunks.get(ctxt).IDAT.idatChunkSize = idatChunkSize;
+  _chunks.get(ctxt).IDAT.filterType = filterType;
+  _chunks.get(ctxt).IDAT.compressionLevel = compressionLevel;
+  _getCompressedChunks(ctxt).forEach((chunk) => {
+    chunk.compressionLevel = compressionLevel;
   });
-  _chunks.set(ctxt, chunks);
+
+  const timestamp = 'undefined' !== typeof options.timestamp
+    ? options.timestamp
+    : _timestamp.get(ctxt);
+  timestamp && ctxt.setLastModified(new Date());
 };
 
-const _buildBuffer = (ctxt) => {
+/**
+ * Called when the image data or palette changes.  Chunks that aren't safe to copy
+ * may depend on them, so they're dropped along with the palette histogram and
+ * the last composited frame.  The APNG chunks are kept: RnPng reads their frames
+ * with the image's current header and palette, so they stay valid.
+ * @see https://www.w3.org/TR/PNG/#14Ordering
+ */
+const _dropImageDependentChunks = (ctxt) => {
+  _extraChunks.set(ctxt, _extraChunks.get(ctxt).filter((extraChunk) =>
+    extraChunk.isSafeToCopy() || extraChunk.header in AnimationChunkClasses));
+  delete _chunks.get(ctxt).hIST;
+  _frameCache.delete(ctxt);
+};
+
+/**
+ * Returns the chunks to be written, in file order.
+ * @see https://www.w3.org/TR/PNG/#14Ordering
+ */
+const _orderChunks = (ctxt) => {
   const chunks = _chunks.get(ctxt);
-  const chunkTypes = Object.keys(chunks);
-  const chunkSizes = chunkTypes.reduce((acc, chunkType) => {
-    acc[chunkType] = chunks[chunkType].calculateChunkLength();
+  const extraChunks = _extraChunks.get(ctxt);
+
+  return SupportedChunks.reduce((acc, chunkType) => {
+    if (chunkType in ExtraChunkPlacements) {
+      acc.push(...extraChunks.filter((extraChunk) =>
+        ExtraChunkPlacements[chunkType] === extraChunk.position));
+    }
+    if (chunks[chunkType]) {
+      acc.push(chunks[chunkType]);
+    }
     return acc;
-  }, {});
-  const totalSize = Object.values(chunkSizes).reduce((acc, size) => {
-    return acc + size;
+  }, []);
+};
+
+const _updateChunks = (ctxt) => {
+  _chunks.get(ctxt).prefix.update();
+  _orderChunks(ctxt).forEach((chunk) => chunk.update());
+};
+
+const _buildBuffer = (ctxt) => {
+  const orderedChunks = [_chunks.get(ctxt).prefix].concat(_orderChunks(ctxt));
+  const totalSize = orderedChunks.reduce((acc, chunk) => {
+    return acc + chunk.calculateChunkLength();
   }, 0);
 
   const bufView = new Uint8Array(new ArrayBuffer(totalSize));
 
   let offset = 0;
-  chunks.prefix.copyInto(bufView, offset);
-  offset += chunkSizes.prefix;
+  orderedChunks.forEach((chunk) => {
+    chunk.copyInto(bufView, offset);
+    offset += chunk.calculateChunkLength();
+  });
+  _buffer.set(ctxt, bufView);
+};
+
+const TextChunkClasses = { tEXt, zTXt, iTXt };
+const ColorSpaceChunkClasses = { gAMA, cHRM, sRGB };
 
-  const existingChunkTypes = Object.keys(chunks);
-  SupportedChunks.forEach((chunkType) => {
-    if (-1 === existingChunkTypes.indexOf(chunkType)) {
-      return;
+const _isValidScaledValue = (value, minimum) =>
+  Number.isFinite(value) && value >= minimum && value <= MAX_SCALED_VALUE;
+
+/**
+ * The number of samples per pixel in the data returned by getData(), and whether
+ * the last of them is an alpha sample.
+ */
+const _determineDataLayout = (ctxt, pixelLayout) => {
+  const colorType = _colorType.get(ctxt);
+  if (PixelLayouts.INDEX_VALUE === pixelLayout) {
+    return { samplesPerPixel: 1, hasAlpha: false };
+  }
+  if (PixelLayouts.RGB === pixelLayout || PixelLayouts.RGBA === pixelLayout) {
+    return {
+      samplesPerPixel: PixelLayouts.RGB === pixelLayout ? 3 : 4,
+      hasAlpha: PixelLayouts.RGBA === pixelLayout,
+    };
+  }
+  return {
+    samplesPerPixel: isIndexed(colorType) ? 3 : determineFullPixelSize(colorType),
+    hasAlpha: hasAlphaSample(colorType),
+  };
+};
+
+const _getTextChunks = (ctxt) =>
+  _extraChunks.get(ctxt).filter((chunk) => TextChunks.includes(chunk.header));
+
+const _isTextChunkOf = (chunk, keyword) =>
+  TextChunks.includes(chunk.header) && chunk.keyword === keyword;
+
+const _createTextChunk = (ctxt, keyword, text, options) => {
+  const { compressed, language, translatedKeyword } = options;
+  const zlibLib = _zlibLib.get(ctxt);
+
+  if (language || translatedKeyword || !isLatin1(text)) {
+    return new iTXt({ keyword, text, compressed, language, translatedKeyword, zlibLib });
+  }
+  return compressed
+    ? new zTXt({ keyword, text, zlibLib })
+    : new tEXt({ keyword, text });
+};
+
+// The chunks other than IDAT whose data may be compressed.
+const _getCompressedChunks = (ctxt) =>
+  _getTextChunks(ctxt).filter((chunk) => 'tEXt' !== chunk.header)
+    .concat(_doesContainChunk(ctxt, 'iCCP') ? [_chunks.get(ctxt).iCCP] : []);
+
+const _getSuggestedPaletteChunks = (ctxt) =>
+  _extraChunks.get(ctxt).filter((chunk) => 'sPLT' === chunk.header);
+
+const _countPaletteEntryUses = (ctxt) => {
+  const counts = new Array(_chunks.get(ctxt).PLTE.getCurrentNumberOfColors()).fill(0);
+  _chunks.get(ctxt).IDAT.pixelData.forEach((paletteIndex) => {
+    if (paletteIndex < counts.length) {
+      counts[paletteIndex]++;
     }
-    chunks[chunkType].copyInto(bufView, offset);
-    offset += chunkSizes[chunkType];
   });
-  _buffer.set(ctxt, bufView);
+  return counts;
+};
+
+/**
+ * Counts how often each palette entry is used, scaled down to fit in 16 bits if
+ * needed.  Used entries never scale down to 0.
+ */
+const _computeHistogram = (ctxt) => {
+  const counts = _countPaletteEntryUses(ctxt);
+  const maxCount = counts.reduce((acc, count) => Math.max(acc, count), 0);
+  if (maxCount <= MAX_FREQUENCY) {
+    return counts;
+  }
+  return counts.map((count) => 0 === count
+    ? 0
+    : Math.max(1, Math.round(count * MAX_FREQUENCY / maxCount)));
+};
+
+/**
+ * Replaces the palette with the entries at `paletteIndices`, in that order.
+ * `remap` gives the new index of every old one, and is applied to the pixels,
+ * transparencies and background so that the image looks the same.
+ */
+const _rebuildPalette = (ctxt, paletteIndices, remap) => {
+  const chunks = _chunks.get(ctxt);
+  const palette = new PLTE({ maxNumberOfColors: computeMaxNumberOfColors(_depth.get(ctxt)) });
+  paletteIndices.forEach((paletteIndex) => palette.addColor(chunks.PLTE.getColorOf(paletteIndex)));
+  chunks.PLTE = palette;
+  chunks.IDAT.pixelData = chunks.IDAT.pixelData.map((paletteIndex) => remap[paletteIndex]);
+
+  if (_doesContainChunk(ctxt, 'tRNS')) {
+    const alphas = chunks.tRNS.getTransparencies();
+    const remappedAlphas = paletteIndices.map((paletteIndex) =>
+      'undefined' !== typeof alphas[paletteIndex] ? alphas[paletteIndex] : 255);
+    // Entries past the last transparency are opaque.
+    while (remappedAlphas.length && 255 === remappedAlphas[remappedAlphas.length - 1]) {
+      remappedAlphas.pop();
+    }
+
+    delete chunks.tRNS;
+    remappedAlphas.forEach((alpha, index) => ctxt.setTransparency(alpha, index));
+  }
+  if (_doesContainChunk(ctxt, 'bKGD')) {
+    const backgroundIndex = chunks.bKGD.getBackgroundColor()[0];
+    chunks.bKGD.setBackgroundColor([remap[backgroundIndex]]);
+  }
+  _dropImageDependentChunks(ctxt);
+};
+
+const _isValidFrequency = (frequency) =>
+  Number.isInteger(frequency) && frequency >= 0 && frequency <= MAX_FREQUENCY;
+
+const AnimationChunkClasses = { acTL, fcTL, fdAT };
+const DEFAULT_DELAY_DENOMINATOR = 100;
+const DELAY_DENOMINATORS = [1000, 100, 10, 1];
+const MAX_DELAY_VALUE = 0xffff;
+const MAX_NUMBER_OF_PLAYS = 0xffffffff;
+const MILLISECONDS_PER_SECOND = 1000;
+
+const _findExtraChunk = (ctxt, chunkHeader) =>
+  _extraChunks.get(ctxt).find((chunk) => chunkHeader === chunk.header);
+
+/**
+ * Collects the frames of an APNG from its fcTL and fdAT chunks.  A static image
+ * is treated as a single frame made up of the image data.
+ */
+const _getAnimationFrames = (ctxt) => {
+  const width = _width.get(ctxt);
+  const height = _height.get(ctxt);
+
+  if (!_findExtraChunk(ctxt, 'acTL')) {
+    return [{
+      width,
+      height,
+      x: 0,
+      y: 0,
+      delayNumerator: 0,
+      delayDenominator: 0,
+      dispose: DisposeOps.NONE,
+      blend: BlendOps.SOURCE,
+      isDefaultImage: true,
+      data: [],
+    }];
+  }
+
+  const animationChunks = _extraChunks.get(ctxt).filter((chunk) => ['fcTL', 'fdAT'].includes(chunk.header));
+  if (animationChunks.some((chunk, i) => chunk.sequenceNumber !== i)) {
+    throw new Error('Invalid sequence numbers found in APNG chunks');
+  }
+
+  const frames = animationChunks.reduce((acc, chunk) => {
+    if ('fcTL' === chunk.header) {
+      // Only the fcTL chunk of the first frame can appear before the IDAT chunks,
+      // in which case the image data is the first frame.
+      acc.push(Object.assign(chunk.getFrameControl(), {
+        isDefaultImage: ChunkPositions.AFTER_IDAT !== chunk.position,
+        data: [],
+      }));
+    } else if (acc.length) {
+      acc[acc.length - 1].data.push(chunk.data);
+    }
+    return acc;
+  }, []);
+
+  frames.forEach((frame) => {
+    const isInBounds = frame.width > 0 && frame.height > 0
+      && frame.x + frame.width <= width && frame.y + frame.height <= height;
+    const isFullImage = 0 === frame.x && 0 === frame.y && width === frame.width && height === frame.height;
+    if (!isInBounds || (frame.isDefaultImage && !isFullImage)) {
+      throw new Error('Invalid frame region found in fcTL chunk');
+    }
+    if (!frame.isDefaultImage && !frame.data.length) {
+      throw new Error('Missing image data for APNG frame');
+    }
+  });
+
+  return frames;
+};
+
+const _validateFrameIndex = (frames, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= frames.length) {
+    throw new Error('Frame index out of range');
+  }
+};
+
+const _getAnimationFrame = (ctxt, index) => {
+  const frames = _getAnimationFrames(ctxt);
+  _validateFrameIndex(frames, index);
+  return frames[index];
+};
+
+/**
+ * Creates an image the size of a frame, with the header fields of the image and
+ * copies of its palette and transparencies.
+ */
+const _createFrameImage = (ctxt, frame) => {
+  const image = new RnPng({
+    width: frame.width,
+    height: frame.height,
+    depth: _depth.get(ctxt),
+    colorType: _colorType.get(ctxt),
+    interlace: _interlace.get(ctxt),
+    zlibLib: _zlibLib.get(ctxt),
+  });
+
+  if (_doesContainChunk(ctxt, 'PLTE')) {
+    const palette = new PLTE({ maxNumberOfColors: computeMaxNumberOfColors(_depth.get(ctxt)) });
+    ctxt.getPalette().forEach(([index, color]) => palette.setColorOf(index, color.slice()));
+    _chunks.get(image).PLTE = palette;
+  }
+  ctxt.getTransparencies().forEach((value, index) =>
+    image.setTransparency(value, ctxt.isIndexed() ? index : -1));
+  return image;
+};
+
+/**
+ * Decodes the region of a frame from the image data in memory, or from the
+ * fdAT chunks of the frame.
+ */
+const _decodeFrameRegion = (ctxt, frame) => {
+  const image = _createFrameImage(ctxt, frame);
+  const imageData = _chunks.get(image).IDAT;
+
+  if (frame.isDefaultImage) {
+    imageData.pixelData = _chunks.get(ctxt).IDAT.pixelData.slice();
+  } else {
+    imageData.decompressPixelData(concatByteArrays(frame.data));
+  }
+  return image;
+};
+
+/**
+ * Expresses a delay in milliseconds as the fraction of seconds stored by fcTL
+ * chunks, as precisely as the 16 bit numerator allows.
+ */
+const _toDelayFraction = (delay) => {
+  const delayDenominator = DELAY_DENOMINATORS.find((denominator) =>
+    Math.round(delay * denominator / MILLISECONDS_PER_SECOND) <= MAX_DELAY_VALUE);
+  return {
+    delayNumerator: Math.round(delay * delayDenominator / MILLISECONDS_PER_SECOND),
+    delayDenominator,
+  };
+};
+
+/**
+ * Returns the pixels of an image as RGBA samples of the animation's bit depth.
+ */
+const _toAnimationSamples = (ctxt, frameImage) => {
+  const depth = _depth.get(ctxt);
+  const data = frameImage.getData(PixelLayouts.RGBA);
+
+  if (BitDepths.SIXTEEN === depth && BitDepths.SIXTEEN !== frameImage.depth) {
+    return Uint16Array.from(data, (sample) => sample * 257);
+  }
+  if (BitDepths.SIXTEEN !== depth && BitDepths.SIXTEEN === frameImage.depth) {
+    return scaleSamplesTo8Bit(data);
+  }
+  return data;
+};
+
+const _compressFrameData = (ctxt, width, height, pixelData) => {
+  const zlibLib = _zlibLib.get(ctxt);
+  const frameData = new IDAT({
+    width,
+    height,
+    depth: _depth.get(ctxt),
+    colorType: _colorType.get(ctxt),
+    interlace: _interlace.get(ctxt),
+    numberOfPixels: computeNumberOfPixels(width, height),
+    filterType: _filterType.get(ctxt),
+    compressionLevel: _compressionLevel.get(ctxt),
+  });
+  frameData.applyZlibLib(zlibLib);
+  frameData.pixelData = pixelData;
+  return frameData.compressPixelData();
+};
+
+/**
+ * The background as an RGB color on the scale of the samples of getData().
+ */
+const _getBackgroundColor = (ctxt) => {
+  if (!_doesContainChunk(ctxt, 'bKGD')) {
+    return null;
+  }
+
+  const colorType = _colorType.get(ctxt);
+  const depth = _depth.get(ctxt);
+  const backgroundColor = Array.from(_chunks.get(ctxt).bKGD.getBackgroundColor());
+  if (isIndexed(colorType)) {
+    const paletteColor = _chunks.get(ctxt).PLTE.getColorOf(backgroundColor[0]);
+    return paletteColor ? paletteColor.slice(0, 3) : null;
+  }
+  if (3 === backgroundColor.length) {
+    return backgroundColor;
+  }
+
+  const gray = depth < BitDepths.EIGHT
+    ? backgroundColor[0] * determineGrayscaleStep(depth)
+    : backgroundColor[0];
+  return [gray, gray, gray];
+};
+
+/**
+ * Carries significant bits over to a new color type and bit depth.  Gray takes
+ * the most significant bits of the red, green and blue samples.
+ */
+const _convertSignificantBits = (ctxt, previousColorType) => {
+  const significantBits = ctxt.getSignificantBits();
+  if (!significantBits) {
+    return;
+  }
+
+  const colorType = _colorType.get(ctxt);
+  const sampleDepth = isIndexed(colorType) ? BitDepths.EIGHT : _depth.get(ctxt);
+  const wasGray = isGrayscale(previousColorType) || isGrayscaleWithAlpha(previousColorType);
+  const colorBits = wasGray
+    ? [significantBits[0], significantBits[0], significantBits[0]]
+    : Array.from(significantBits).slice(0, 3);
+  const alphaBits = hasAlphaSample(previousColorType)
+    ? significantBits[significantBits.length - 1]
+    : sampleDepth;
+
+  const values = isGrayscale(colorType) || isGrayscaleWithAlpha(colorType)
+    ? [Math.max(...colorBits)]
+    : colorBits;
+  if (hasAlphaSample(colorType)) {
+    values.push(alphaBits);
+  }
+
+  _chunks.get(ctxt).sBIT = new sBIT({ colorType });
+  _chunks.get(ctxt).sBIT.setSignificantBits(values.map((value) => Math.min(value, sampleDepth)));
+};
+
+// Chunks whose metadata holds regardless of the color type, bit depth and palette
+const PixelIndependentChunkTypes = ['gAMA', 'cHRM', 'sRGB', 'iCCP', 'pHYs', 'tIME'];
+
+/**
+ * Copies the chunks that don't depend on the pixels of an image onto another
+ * image, by loading them as they would be written.  Besides the colorimetry,
+ * physical dimensions and modification time, these are the extra chunks that
+ * are safe to copy, such as text entries.
+ */
+const _copyPixelIndependentChunks = (ctxt, image) => {
+  const chunks = _chunks.get(ctxt);
+  PixelIndependentChunkTypes
+    .filter((chunkType) => _doesContainChunk(ctxt, chunkType))
+    .map((chunkType) => chunks[chunkType])
+    .concat(_extraChunks.get(ctxt).filter((extraChunk) => extraChunk.isSafeToCopy()))
+    .forEach((chunk) => {
+      chunk.update();
+      const bufView = new Uint8Array(chunk.calculateChunkLength());
+      chunk.copyInto(bufView, 0);
+      _loadChunk(image, chunk.header, bufView, chunk.position);
+    });
+};
+
+/**
+ * Creates an empty image of the same dimensions and encoding settings, that
+ * keeps the chunks not depending on the pixels.
+ */
+const _createImageLike = (ctxt, colorType, depth) => {
+  const image = new RnPng({
+    width: _width.get(ctxt),
+    height: _height.get(ctxt),
+    depth,
+    colorType,
+    interlace: _interlace.get(ctxt),
+    zlibLib: _zlibLib.get(ctxt),
+    idatChunkSize: _idatChunkSize.get(ctxt),
+    filter: _filterType.get(ctxt),
+    compressionLevel: _compressionLevel.get(ctxt),
+    timestamp: _timestamp.get(ctxt),
+  });
+  _copyPixelIndependentChunks(ctxt, image);
+  return image;
+};
+
+/**
+ * Replaces the palette and its transparencies with `[r, g, b, alpha]` entries.
+ */
+const _setPaletteEntries = (ctxt, palette) => {
+  const chunks = _chunks.get(ctxt);
+  chunks.PLTE = new PLTE({ maxNumberOfColors: computeMaxNumberOfColors(_depth.get(ctxt)) });
+  palette.forEach((entry) => chunks.PLTE.addColor(entry.slice(0, 3)));
+
+  delete chunks.tRNS;
+  palette.forEach((entry, index) => entry[3] < 255 && ctxt.setTransparency(entry[3], index));
+};
+
+/**
+ * Creates an indexed image from `[r, g, b, alpha]` palette entries and the
+ * palette index of each pixel.
+ */
+const _createIndexedImage = (ctxt, depth, palette, indices) => {
+  const image = _createImageLike(ctxt, ColorTypes.INDEXED, depth);
+  _setPaletteEntries(image, palette);
+  _chunks.get(image).IDAT.pixelData = indices;
+  return image;
+};
+
+/**
+ * Returns a function that rounds a value and clamps it to the range of the
+ * samples of getData(), the same way at every bit depth.
+ */
+const _createSampleClamp = (ctxt) => {
+  const maxValue = ctxt.isIndexed() ? 255 : determineMaxSampleValue(_depth.get(ctxt));
+  return (value) => Math.min(maxValue, Math.max(0, Math.round(value)));
+};
+
+/**
+ * Expands samples in one of the layouts of getData() to RGBA on the same scale,
+ * rounded and clamped to it.  Pixels are opaque when the layout has no alpha
+ * samples.
+ */
+const _toRgbaData = (ctxt, data, pixelLayout) => {
+  const colorType = _colorType.get(ctxt);
+  const depth = _depth.get(ctxt);
+  const { samplesPerPixel, hasAlpha } = _determineDataLayout(ctxt, pixelLayout);
+  const isGrayData = PixelLayouts.VALUE === pixelLayout
+    && (isGrayscale(colorType) || isGrayscaleWithAlpha(colorType));
+  const opaqueValue = isIndexed(colorType) ? 255 : determineMaxSampleValue(depth);
+  const rgbaData = createSampleArray(depth, data.length / samplesPerPixel * 4);
+  const toSample = _createSampleClamp(ctxt);
+
+  for (let i = 0, n = 0; n < rgbaData.length; i += samplesPerPixel) {
+    rgbaData[n++] = toSample(data[i]);
+    rgbaData[n++] = toSample(data[isGrayData ? i : i + 1]);
+    rgbaData[n++] = toSample(data[isGrayData ? i : i + 2]);
+    rgbaData[n++] = hasAlpha ? toSample(data[i + samplesPerPixel - 1]) : opaqueValue;
+  }
+  return rgbaData;
+};
+
+/**
+ * Gives the pixels of RGBA data that came without alpha samples the alpha of
+ * their current palette entry, as long as they keep its color.  Pixels given
+ * another color take the alpha of the first entry of that color, if any.
+ */
+const _applyPaletteAlphas = (ctxt, rgbaData) => {
+  const alphas = ctxt.getTransparencies();
+  if (!alphas.length) {
+    return;
+  }
+
+  const palette = _chunks.get(ctxt).PLTE;
+  const paletteColors = [];
+  const paletteAlphas = [];
+  const colorAlphas = new Map();
+  palette.getPixelPaletteIndices().forEach((paletteIndex) => {
+    const color = palette.getColorOf(paletteIndex);
+    const alpha = 'undefined' !== typeof alphas[paletteIndex] ? alphas[paletteIndex] : 255;
+    paletteColors[paletteIndex] = color;
+    paletteAlphas[paletteIndex] = alpha;
+    if (!colorAlphas.has(hashPixelData(color))) {
+      colorAlphas.set(hashPixelData(color), alpha);
+    }
+  });
+
+  const paletteIndices = _chunks.get(ctxt).IDAT.pixelData;
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    const paletteIndex = paletteIndices[i / 4];
+    const color = paletteColors[paletteIndex];
+    if (color && color[0] === rgbaData[i] && color[1] === rgbaData[i + 1] && color[2] === rgbaData[i + 2]) {
+      rgbaData[i + 3] = paletteAlphas[paletteIndex];
+      continue;
+    }
+
+    const hashedColor = hashPixelData([rgbaData[i], rgbaData[i + 1], rgbaData[i + 2]]);
+    if (colorAlphas.has(hashedColor)) {
+      rgbaData[i + 3] = colorAlphas.get(hashedColor);
+    }
+  }
+};
+
+/**
+ * Calls `callback` with the RGBA samples, x and y of every pixel of RGBA data, and
+ * the offset of the pixel's samples.
+ */
+const _visitPixels = (ctxt, rgbaData, callback) => {
+  const width = _width.get(ctxt);
+  for (let i = 0, x = 0, y = 0; i < rgbaData.length; i += 4) {
+    callback([rgbaData[i], rgbaData[i + 1], rgbaData[i + 2], rgbaData[i + 3]], x, y, i);
+    if (++x === width) {
+      x = 0;
+      y++;
+    }
+  }
+};
+
+/**
+ * Builds the palette of an indexed image from its new pixels, keeping the
+ * background among the entries.
+ */
+const _setIndexedData = (ctxt, rgbaData) => {
+  const background = _getBackgroundColor(ctxt);
+  const palette = buildPalette(rgbaData, background, computeMaxNumberOfColors(_depth.get(ctxt)));
+  if (!palette) {
+    throw new Error('Maximum number of colors reached');
+  }
+
+  const indices = new Uint8ClampedArray(rgbaData.length / 4);
+  for (let i = 0; i < indices.length; i++) {
+    indices[i] = palette.indices.get(hashRgbaAt(rgbaData, i * 4));
+  }
+  _setPaletteEntries(ctxt, palette.entries);
+  _chunks.get(ctxt).IDAT.pixelData = indices;
+
+  if (background) {
+    const hashedBackground = hashPixelData(background);
+    _chunks.get(ctxt).bKGD.setBackgroundColor([
+      palette.entries.findIndex((entry) => hashPixelData(entry.slice(0, 3)) === hashedBackground),
+    ]);
+  }
+};
+
+/**
+ * Rescales the new pixels to the samples of a grayscale or truecolor image.  When
+ * the data has alpha samples but the image has no alpha channel, the alpha has to
+ * be representable by a single transparent color, which replaces the tRNS chunk.
+ */
+const _setSampleData = (ctxt, rgbaData, hasAlpha) => {
+  const colorType = _colorType.get(ctxt);
+  const depth = _depth.get(ctxt);
+  const sourceDepth = BitDepths.SIXTEEN === depth ? BitDepths.SIXTEEN : BitDepths.EIGHT;
+  // Truecolor samples are already on the scale of the image's samples.
+  const convertedData = isTruecolor(colorType) || isTruecolorWithAlpha(colorType)
+    ? rgbaData
+    : convertPixels(rgbaData, { sourceDepth, colorType, depth });
+
+  if (hasAlpha && !hasAlphaSample(colorType)) {
+    const { mode, transparentColor } = analyzeAlpha(convertedData, determineMaxSampleValue(sourceDepth));
+    if (AlphaModes.CHANNEL === mode) {
+      throw new Error('Attempting to set opacities that require an alpha channel');
+    }
+    delete _chunks.get(ctxt).tRNS;
+    transparentColor && ctxt.setTransparency(toChunkColor(transparentColor, colorType, depth));
+  }
+  _chunks.get(ctxt).IDAT.pixelData = selectSamples(convertedData, colorType, depth);
 };
 
-const _loadChunk = (ctxt, chunkHeader, bufView) => {
+const _loadChunk = (ctxt, chunkHeader, bufView, position) => {
   let chunks;
   let chunk;
   switch (chunkHeader) {
@@ -192,12 +866,68 @@ const _loadChunk = (ctxt, chunkHeader, bufView) => {
     chunks = _chunks.get(ctxt);
     chunks.bKGD = new bKGD({
       colorType: _colorType.get(ctxt),
+      depth: _depth.get(ctxt),
     });
     _chunks.set(ctxt, chunks);
     chunk = _chunks.get(ctxt)[chunkHeader];
     chunk.load(bufView);
     break;
 
+  case 'gAMA':
+  case 'cHRM':
+  case 'sRGB':
+    chunks = _chunks.get(ctxt);
+    chunks[chunkHeader] = new ColorSpaceChunkClasses[chunkHeader]();
+    chunks[chunkHeader].load(bufView);
+    break;
+
+  case 'iCCP':
+    chunks = _chunks.get(ctxt);
+    chunks.iCCP = new iCCP({ zlibLib: _zlibLib.get(ctxt) });
+    chunks.iCCP.load(bufView);
+    break;
+
+  case 'sBIT':
+    chunks = _chunks.get(ctxt);
+    chunks.sBIT = new sBIT({ colorType: _colorType.get(ctxt) });
+    chunks.sBIT.load(bufView);
+    break;
+
+  case 'hIST':
+    chunks = _chunks.get(ctxt);
+    chunks.hIST = new hIST();
+    chunks.hIST.load(bufView);
+    break;
+
+  case 'sPLT':
+    chunk = new sPLT();
+    chunk.position = position;
+    chunk.load(bufView);
+    _extraChunks.get(ctxt).push(chunk);
+    break;
+
+  case 'acTL':
+  case 'fcTL':
+  case 'fdAT':
+    chunk = new AnimationChunkClasses[chunkHeader]();
+    chunk.position = position;
+    chunk.load(bufView);
+    _extraChunks.get(ctxt).push(chunk);
+    break;
+
+  case 'tIME':
+    chunks = _chunks.get(ctxt);
+    chunks.tIME = new tIME();
+    chunks.tIME.load(bufView);
+    break;
+
+  case 'pHYs':
+    chunks = _chunks.get(ctxt);
+    chunks.pHYs = new pHYs();
+    chunk = chunks.pHYs;
+    chunk.load(bufView);
+    break;
+
   case 'IDAT':
     chunk = _chunks.get(ctxt)[chunkHeader];
     chunk.applyLayoutInformation({
@@ -205,12 +935,57 @@ const _loadChunk = (ctxt, chunkHeader, bufView) => {
       height: _height.get(ctxt),
       depth: _depth.get(ctxt),
       colorType: _colorType.get(ctxt),
+      interlace: _interlace.get(ctxt),
       numberOfPixels: computeNumberOfPixels(_width.get(ctxt), _height.get(ctxt)),
     });
     chunk.load(bufView);
     break;
 
+  case 'tEXt':
+  case 'zTXt':
+  case 'iTXt':
+    chunk = new TextChunkClasses[chunkHeader]({ zlibLib: _zlibLib.get(ctxt) });
+    chunk.position = position;
+    chunk.load(bufView);
+    _extraChunks.get(ctxt).push(chunk);
+    break;
+
   default:
+    chunk = new RawChunk({ header: chunkHeader, position });
+    chunk.load(bufView);
+    _extraChunks.get(ctxt).push(chunk);
+  }
+};
+
+const _parseBuffer = (bufView) => {
+  if (!(bufView instanceof Uint8Array) && !(bufView instanceof Uint8ClampedArray)) {
+    throw new Error('A Uint8Array or Uint8ClampledArray is required for loading PNG data');
+  }
+
+  if (!new Prefix().verify(bufView)) {
+    throw new Error('Attempting to load data that is not a PNG');
+  }
+
+  return parseChunks(bufView);
+};
+
+const _reportLoadProblem = (ctxt, verify, chunkType, message) => {
+  if (VerifyModes.STRICT === verify) {
+    throw new ChecksumError(message, chunkType);
+  }
+  _loadWarnings.get(ctxt).push({ chunkType, message });
+};
+
+const _verifyChunkCrc = (ctxt, verify, bufView, parsedChunk) => {
+  const crc = calculateCrc32(
+    bufView,
+    parsedChunk.offset + CHUNK_LENGTH_SIZE,
+    CHUNK_HEADER_SIZE + parsedChunk.length
+  ) >>> 0;
+
+  if (crc !== parsedChunk.crc) {
+    _reportLoadProblem(ctxt, verify, parsedChunk.type,
+      `CRC mismatch in ${parsedChunk.type} chunk at offset ${parsedChunk.offset}`);
   }
 };
 
@@ -228,15 +1003,97 @@ export default class RnPng {
 
   static get PixelLayout() { return PixelLayouts; }
 
+  static get VerifyMode() { return VerifyModes; }
+
+  static get PhysicalUnit() { return PhysicalUnits; }
+
+  static get RenderingIntent() { return RenderingIntents; }
+
+  static get DisposeOp() { return DisposeOps; }
+
+  static get BlendOp() { return BlendOps; }
+
+  static get FilterType() { return FilterTypes; }
+
+  static get PaletteSortOrder() { return PaletteSortOrders; }
+
+  static get QuantizationMethod() { return QuantizationMethods; }
+
+  static get ChecksumError() { return ChecksumError; }
+
+  /**
+   * Creates an empty APNG of color type 6 (truecolor with alpha).  Frames are
+   * added with addFrame(), the first of which is also the image shown by decoders
+   * that don't support animation.
+   */
+  static createAnimation(options = {}) {
+    const {
+      width,
+      height,
+      loops = 0,
+      depth = BitDepths.EIGHT,
+      filter,
+      compressionLevel,
+      zlibLib,
+    } = options;
+
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw new Error('Animations require a width and height');
+    }
+    if (!Number.isInteger(loops) || loops < 0 || loops > MAX_NUMBER_OF_PLAYS) {
+      throw new Error('Invalid loop count');
+    }
+
+    const animation = new RnPng({
+      width,
+      height,
+      depth,
+      colorType: ColorTypes.TRUECOLOR_AND_ALPHA,
+      filter,
+      compressionLevel,
+      zlibLib,
+    });
+
+    const animationControl = new acTL({ numberOfFrames: 0, numberOfPlays: loops });
+    animationControl.position = ChunkPositions.BEFORE_IDAT;
+    _extraChunks.get(animation).push(animationControl);
+    return animation;
+  }
+
+  /**
+   * Lists the chunks of a PNG, in file order, without decoding them.
+   */
+  static parseChunks(bufView) {
+    return _parseBuffer(bufView);
+  }
+
   constructor(options = {}) {
     const width = options.width || 0;
     const height = options.height || 0;
     const depth = options.depth || BitDepths.EIGHT;
-    const colorType = options.colorType || ColorTypes.INDEXED;
+    const colorType = 'undefined' !== typeof options.colorType
+      ? options.colorType
+      : ColorTypes.INDEXED;
     const compression = DEFAULT_COMPRESSION;
     const filter = DEFAULT_FILTER;
-    const interlace = DEFAULT_INTERLACE;
+    const interlace = options.interlace || DEFAULT_INTERLACE;
     const zlibLib = options.zlibLib || null;
+    const idatChunkSize = options.idatChunkSize || 0;
+    const filterType = 'undefined' !== typeof options.filter
+      ? options.filter
+      : FilterTypes.NONE;
+    const compressionLevel = 'undefined' !== typeof options.compressionLevel
+      ? options.compressionLevel
+      : DEFAULT_COMPRESSION_LEVEL;
+    const timestamp = !!options.timestamp;
+
+    _validateIdatChunkSize(idatChunkSize);
+    _validateFilterType(filterType);
+    validateCompressionLevel(compressionLevel);
+    _idatChunkSize.set(this, idatChunkSize);
+    _filterType.set(this, filterType);
+    _compressionLevel.set(this, compressionLevel);
+    _timestamp.set(this, timestamp);
 
     _applyMetaData(this, {
       width,
@@ -249,6 +1106,8 @@ export default class RnPng {
     });
 
     _buffer.set(this, null);
+    _loadWarnings.set(this, []);
+    _extraChunks.set(this, []);
     _initializeChunks(this, this.getMetaData());
     zlibLib && this.applyZlibLib(zlibLib);
   }
@@ -285,65 +1144,347 @@ export default class RnPng {
     };
   }
 
-  getBuffer() {
+  getBuffer(options = {}) {
+    const animationControl = _findExtraChunk(this, 'acTL');
+    if (animationControl && 0 === animationControl.numberOfFrames) {
+      throw new Error('Attempting to encode an animation without frames');
+    }
+
+    options.optimize && this.optimize();
+    _applyEncodingOptions(this, options);
     _updateChunks(this);
     _buildBuffer(this);
     return _buffer.get(this);
   }
 
-  from(bufView) {
-    if (!(bufView instanceof Uint8Array) && !(bufView instanceof Uint8ClampedArray)) {
-      throw new Error('A Uint8Array or Uint8ClampledArray is required for loading PNG data');
+  /**
+   * Re-encodes the image with the color type and bit depth that hold its pixels,
+   * transparency and background in the least space without losing anything.
+   * Returns the chosen settings.
+   */
+  optimize() {
+    if (_findExtraChunk(this, 'acTL')) {
+      throw new Error('Attempting to optimize an animation');
+    }
+
+    const chunks = _chunks.get(this);
+    const previousColorType = _colorType.get(this);
+    const representation = findSmallestRepresentation(this.getData(PixelLayouts.RGBA), {
+      width: _width.get(this),
+      height: _height.get(this),
+      depth: BitDepths.SIXTEEN === _depth.get(this) ? BitDepths.SIXTEEN : BitDepths.EIGHT,
+      background: _getBackgroundColor(this),
+    });
+    const { colorType, depth, palette, transparency, background } = representation;
+
+    _applyMetaData(this, Object.assign(this.getMetaData(), { colorType, depth }));
+    const metaData = this.getMetaData();
+    chunks.IHDR = new IHDR(metaData);
+    chunks.IDAT.applyLayoutInformation({
+      width: metaData.width,
+      height: metaData.height,
+      depth,
+      colorType,
+      interlace: metaData.interlace,
+      numberOfPixels: computeNumberOfPixels(metaData.width, metaData.height),
+    });
+    chunks.IDAT.pixelData = representation.pixelData;
+
+    delete chunks.PLTE;
+    delete chunks.tRNS;
+    delete chunks.bKGD;
+    if (palette) {
+      chunks.PLTE = new PLTE({ maxNumberOfColors: computeMaxNumberOfColors(depth) });
+      palette.forEach((color) => chunks.PLTE.addColor(color));
+    }
+    if (palette && transparency.length) {
+      transparency.forEach((alpha, index) => this.setTransparency(alpha, index));
+    } else if (!palette && transparency) {
+      this.setTransparency(transparency);
+    }
+    if (background) {
+      chunks.bKGD = new bKGD({ colorType, depth });
+      chunks.bKGD.setBackgroundColor(background);
+    }
+    _convertSignificantBits(this, previousColorType);
+    _dropImageDependentChunks(this);
+
+    return {
+      colorType,
+      depth,
+      paletteSize: palette ? palette.length : 0,
+    };
+  }
+
+  /**
+   * Creates an indexed copy of the image whose palette has at most `colors`
+   * entries.  Alpha is kept as palette transparency.
+   */
+  quantize(options = {}) {
+    const maxNumberOfColors = computeMaxNumberOfColors(BitDepths.EIGHT);
+    const {
+      colors = maxNumberOfColors,
+      method = QuantizationMethods.MEDIAN_CUT,
+      dither = false,
+    } = options;
+
+    if (!Number.isInteger(colors) || colors < 1 || colors > maxNumberOfColors) {
+      throw new Error('Invalid number of colors');
+    }
+    if (!Object.values(QuantizationMethods).includes(method)) {
+      throw new Error('Invalid quantization method');
     }
 
-    if (!_chunks.get(this).prefix.verify(bufView)
-      || !_chunks.get(this).IHDR.verify(bufView)
-      || !_chunks.get(this).IDAT.verify(bufView)
-      || !_chunks.get(this).IEND.verify(bufView)) {
+    const { palette, indices } = quantizePixels(this.getData(PixelLayouts.RGBA, { downscale: true }), {
+      width: _width.get(this),
+      numberOfColors: colors,
+      method,
+      dither,
+    });
+
+    const depth = ColorTypeBitDepths[ColorTypes.INDEXED].find((paletteDepth) =>
+      computeMaxNumberOfColors(paletteDepth) >= palette.length);
+    return _createIndexedImage(this, depth, palette, indices);
+  }
+
+  /**
+   * Creates a copy of the image with another color type and bit depth.  Colors
+   * become their luma in grayscale, and are quantized when a palette can't hold
+   * them all.  A single fully transparent color is kept in a tRNS chunk when the
+   * new color type has no alpha channel; other alpha is lost.
+   */
+  convertTo(options = {}) {
+    const currentDepth = _depth.get(this);
+    const colorType = 'undefined' !== typeof options.colorType
+      ? options.colorType
+      : _colorType.get(this);
+    const defaultDepth = ColorTypeBitDepths[colorType] && ColorTypeBitDepths[colorType].includes(currentDepth)
+      ? currentDepth
+      : BitDepths.EIGHT;
+    const depth = 'undefined' !== typeof options.depth
+      ? options.depth
+      : defaultDepth;
+
+    if (!Object.values(ColorTypes).includes(colorType)) {
+      throw new Error('Invalid color type');
+    }
+    if (!ColorTypeBitDepths[colorType].includes(depth)) {
+      throw new Error('Invalid bit depth for color type');
+    }
+
+    const background = _getBackgroundColor(this);
+    const rgbaData = this.getData(PixelLayouts.RGBA);
+
+    if (isIndexed(colorType)) {
+      const sourceData = BitDepths.SIXTEEN === currentDepth ? scaleSamplesTo8Bit(rgbaData) : rgbaData;
+      const { palette, indices } = quantizePixels(sourceData, {
+        width: _width.get(this),
+        numberOfColors: computeMaxNumberOfColors(depth),
+        method: QuantizationMethods.MEDIAN_CUT,
+        dither: false,
+      });
+      const converted = _createIndexedImage(this, depth, palette, indices);
+      if (background) {
+        const color = BitDepths.SIXTEEN === currentDepth ? scaleSamplesTo8Bit(background) : background;
+        _chunks.get(converted).bKGD = new bKGD({ colorType, depth });
+        _chunks.get(converted).bKGD.setBackgroundColor([findNearestEntry(palette, ...color, 255)]);
+      }
+      return converted;
+    }
+
+    const sourceDepth = BitDepths.SIXTEEN === currentDepth ? BitDepths.SIXTEEN : BitDepths.EIGHT;
+    const convertedData = convertPixels(rgbaData, { sourceDepth, colorType, depth });
+    const converted = _createImageLike(this, colorType, depth);
+    _chunks.get(converted).IDAT.pixelData = selectSamples(convertedData, colorType, depth);
+
+    if (!hasAlphaSample(colorType)) {
+      const alphaDepth = Math.max(depth, BitDepths.EIGHT);
+      const { transparentColor } = analyzeAlpha(convertedData, determineMaxSampleValue(alphaDepth));
+      transparentColor && converted.setTransparency(toChunkColor(transparentColor, colorType, depth));
+    }
+    if (background) {
+      const convertedBackground = convertPixels(background.concat(0), { sourceDepth, colorType, depth });
+      converted.setBackground(toChunkColor(Array.from(convertedBackground), colorType, depth));
+    }
+    return converted;
+  }
+
+  from(bufView, options = {}) {
+    const verify = options.verify || VerifyModes.WARN;
+    if (!Object.values(VerifyModes).includes(verify)) {
+      throw new Error('Invalid verify mode');
+    }
+
+    const parsedChunks = _parseBuffer(bufView);
+    const chunkTypes = parsedChunks.map((parsedChunk) => parsedChunk.type);
+
+    if ('IHDR' !== chunkTypes[0]
+      || 'IEND' !== chunkTypes[chunkTypes.length - 1]
+      || !chunkTypes.includes('IDAT')) {
       throw new Error('Attempting to load data that is not a PNG');
     }
 
-    // We may have created an empty PLTE chunk for the default color type.
-    let chunks = _chunks.get(this);
-    if (chunks.PLTE) {
-      delete(chunks.PLTE);
+    _loadWarnings.set(this, []);
+    _frameCache.delete(this);
+    if (VerifyModes.OFF !== verify) {
+      parsedChunks.forEach((parsedChunk) => _verifyChunkCrc(this, verify, bufView, parsedChunk));
     }
-    _chunks.set(this, chunks);
 
-    let chunkHeaderIndex = 0;
-    let startIndex = 0;
-    SupportedChunks.forEach((chunkHeader) => {
+    // The header, image data and end chunks are loaded in place.  Every other
+    // chunk, including an empty PLTE chunk created for the default color type or
+    // the metadata of an image loaded before, is replaced by what is loaded.
+    const { prefix, IHDR: header, IDAT: imageData, IEND: end } = _chunks.get(this);
+    _chunks.set(this, { prefix, IHDR: header, IDAT: imageData, IEND: end });
+    _extraChunks.set(this, []);
+
+    let position = ChunkPositions.BEFORE_PLTE;
+    parsedChunks.forEach((parsedChunk, index) => {
+      const chunkHeader = parsedChunk.type;
       if (chunkHeader === 'IEND') {
-        return; // We don't need to load this chunk.
+        return;
       }
 
-      let tmpHeaderIndex = indexOfSequence(bufView, ChunkHeaderSequences[chunkHeader], startIndex);
-      if (-1 === tmpHeaderIndex) {
-        return;
+      if (chunkHeader === 'PLTE') {
+        position = ChunkPositions.BEFORE_IDAT;
+      } else if (chunkHeader === 'IDAT') {
+        position = ChunkPositions.AFTER_IDAT;
       }
 
-      chunkHeaderIndex = tmpHeaderIndex;
-      startIndex = chunkHeaderIndex + 4;
+      // The IDAT chunk loads the data of all consecutive IDAT chunks at once.
+      if (chunkHeader === 'IDAT' && chunkTypes.indexOf('IDAT') !== index) {
+        return;
+      }
 
-      _loadChunk(this, chunkHeader, bufView.subarray(chunkHeaderIndex - CHUNK_LENGTH_SIZE));
+      _loadChunk(this, chunkHeader, bufView.subarray(parsedChunk.offset), position);
     });
 
+    if (VerifyModes.OFF !== verify && !_chunks.get(this).IDAT.isAdler32Valid()) {
+      _reportLoadProblem(this, verify, 'IDAT', 'Adler-32 checksum mismatch in IDAT data');
+    }
+
     return this;
   }
 
+  getLoadWarnings() {
+    return _loadWarnings.get(this).slice();
+  }
+
   getChunksUsed() {
-    return Object.keys(_chunks.get(this)).filter((chunkHeader) => chunkHeader !== 'prefix');
+    return _orderChunks(this).map((chunk) => chunk.header);
+  }
+
+  getData(pixelLayout = RnPng.PixelLayout.VALUE, options = {}) {
+    const rawPixelData = _chunks.get(this).IDAT.pixelData;
+    const pixelData = this.isIndexed()
+      ? _chunks.get(this).PLTE.convertToPixels(rawPixelData)
+      : rawPixelData;
+    let trnsData = _doesContainChunk(this, 'tRNS')
+      ? _chunks.get(this).tRNS.getTransparencies()
+      : [];
+    // The alphas of an indexed image belong to palette entries, but are applied per pixel.
+    if (this.isIndexed() && trnsData.length) {
+      const paletteAlphas = trnsData;
+      trnsData = Array.from(rawPixelData, (paletteIndex) => paletteAlphas[paletteIndex]);
+    }
+    if (this.isGrayscale() && _depth.get(this) < BitDepths.EIGHT) {
+      trnsData = trnsData.map((gray) => gray * determineGrayscaleStep(_depth.get(this)));
+    }
+    let data = _chunks.get(this).IDAT.getData(pixelLayout, pixelData, trnsData);
+
+    // Samples are already sRGB encoded when there's an sRGB chunk.  ICC profiles
+    // aren't applied.
+    if (options.gammaCorrect
+      && PixelLayouts.INDEX_VALUE !== pixelLayout
+      && _doesContainChunk(this, 'gAMA')
+      && !_doesContainChunk(this, 'sRGB')) {
+      const { samplesPerPixel, hasAlpha } = _determineDataLayout(this, pixelLayout);
+      data = correctGammaToSrgb(
+        data,
+        _chunks.get(this).gAMA.getGamma(),
+        isIndexed(_colorType.get(this)) ? 255 : determineMaxSampleValue(_depth.get(this)),
+        samplesPerPixel,
+        hasAlpha
+      );
+    }
+
+    if (options.downscale && BitDepths.SIXTEEN === _depth.get(this)) {
+      return scaleSamplesTo8Bit(data);
+    }
+    return data;
+  }
+
+  /**
+   * Replaces all pixels with a flat list of samples in one of the layouts that
+   * getData() returns.  Indexed images get a palette built from the colors, and
+   * grayscale and truecolor images without an alpha channel get their alpha as a
+   * transparent color.
+   */
+  setData(data, pixelLayout = RnPng.PixelLayout.VALUE) {
+    if (!Object.values(PixelLayouts).includes(pixelLayout)) {
+      throw new Error('Invalid pixel layout');
+    }
+    if (PixelLayouts.INDEX_VALUE === pixelLayout && !this.isIndexed()) {
+      throw new Error('Attempting to set palette indices when no palette exists');
+    }
+
+    const { samplesPerPixel, hasAlpha } = _determineDataLayout(this, pixelLayout);
+    const numberOfSamples = computeNumberOfPixels(_width.get(this), _height.get(this)) * samplesPerPixel;
+    if (!data || data.length !== numberOfSamples) {
+      throw new Error(`Invalid number of samples supplied; expected ${numberOfSamples}`);
+    }
+
+    if (PixelLayouts.INDEX_VALUE === pixelLayout) {
+      const paletteSize = _chunks.get(this).PLTE.getCurrentNumberOfColors();
+      const indices = Uint8ClampedArray.from(data);
+      if (indices.some((paletteIndex, i) => paletteIndex !== data[i] || paletteIndex >= paletteSize)) {
+        throw new Error('Palette index found that exceeds palette size');
+      }
+      _chunks.get(this).IDAT.pixelData = indices;
+      _dropImageDependentChunks(this);
+      return this;
+    }
+
+    const rgbaData = _toRgbaData(this, data, pixelLayout);
+    if (this.isIndexed()) {
+      !hasAlpha && _applyPaletteAlphas(this, rgbaData);
+      _setIndexedData(this, rgbaData);
+    } else {
+      _setSampleData(this, rgbaData, hasAlpha);
+    }
+    _dropImageDependentChunks(this);
+    return this;
+  }
+
+  /**
+   * Calls `callback` with the samples of each pixel as an `[r, g, b, alpha]` array
+   * on the scale of getData(), whatever the color type, along with its x and y.
+   */
+  forEachPixel(callback) {
+    _visitPixels(this, this.getData(PixelLayouts.RGBA), callback);
+    return this;
   }
 
-  getData(pixelLayout = RnPng.PixelLayout.VALUE) {
-    const rawPixelData = _chunks.get(this).IDAT.pixelData;
-    const pixelData = this.isIndexed()
-      ? _chunks.get(this).PLTE.convertToPixels(rawPixelData)
-      : rawPixelData;
-    const trnsData = _doesContainChunk(this, 'tRNS')
-      ? _chunks.get(this).tRNS.getTransparencies()
-      : [];
-    return _chunks.get(this).IDAT.getData(pixelLayout, pixelData, trnsData);
+  /**
+   * Replaces each pixel with the `[r, g, b, alpha]` array `callback` returns for
+   * it.  The callback is given the same arguments as with forEachPixel(), and the
+   * pixels are written back together with setData().
+   */
+  mapPixels(callback) {
+    const rgbaData = this.getData(PixelLayouts.RGBA);
+    const mappedData = createSampleArray(_depth.get(this), rgbaData.length);
+    const toSample = _createSampleClamp(this);
+
+    _visitPixels(this, rgbaData, (rgba, x, y, i) => {
+      const mappedPixel = callback(rgba, x, y);
+      if (!mappedPixel || mappedPixel.length < 4) {
+        throw new Error('Not enough samples returned for pixel; expected 4');
+      }
+      mappedData[i] = toSample(mappedPixel[0]);
+      mappedData[i + 1] = toSample(mappedPixel[1]);
+      mappedData[i + 2] = toSample(mappedPixel[2]);
+      mappedData[i + 3] = toSample(mappedPixel[3]);
+    });
+    return this.setData(mappedData, PixelLayouts.RGBA);
   }
 
   getPalette() {
@@ -393,11 +1534,11 @@ export default class RnPng {
       }, []);
     }
 
-    let opacities = new Uint8ClampedArray(computeNumberOfPixels(
+    let opacities = createSampleArray(_depth.get(this), computeNumberOfPixels(
       _width.get(this),
       _height.get(this)
     ));
-    return opacities.fill(255);
+    return opacities.fill(determineMaxSampleValue(_depth.get(this)));
   }
 
   getTransparencies() {
@@ -483,6 +1624,7 @@ export default class RnPng {
       // if an additional sample is supplied, we'll use it to set a transparency/opacity.
       data = data.slice(0, fullPixelSize);
       _chunks.get(this).IDAT.setPixelOf(index, data);
+      _dropImageDependentChunks(this);
       return this;
     }
     
@@ -491,6 +1633,7 @@ export default class RnPng {
     const opacityData = data.length > fullPixelSize
       ? data[data.length - 1]
       : undefined;
+    _dropImageDependentChunks(this);
 
     if (this.isIndexed()) {
       const paletteIndex = _chunks.get(this).PLTE.isColorInPalette(colorData)
@@ -510,7 +1653,8 @@ export default class RnPng {
     _chunks.get(this).IDAT.setPixelOf(index, colorData);
 
     if ('undefined' !== typeof opacityData) {
-      if (255 === opacityData && this.doesColorExistInTransparencies(colorData)) {
+      if (determineMaxSampleValue(_depth.get(this)) === opacityData
+        && this.doesColorExistInTransparencies(colorData)) {
         this.removeTransparency(colorData);
       } else {
         this.setTransparency(colorData);
@@ -525,6 +1669,7 @@ export default class RnPng {
       throw new Error('Attempting to set a palette color when no palette exists');
     }
     _chunks.get(this).PLTE.setColorOf(index, colorData);
+    _dropImageDependentChunks(this);
     return this;
   }
 
@@ -533,6 +1678,99 @@ export default class RnPng {
       throw new Error('Attempting to swap palette when no palette exists');
     }
     _chunks.get(this).PLTE.replaceColor(targetColor, newColor);
+    _dropImageDependentChunks(this);
+    return this;
+  }
+
+  /**
+   * Merges palette entries of the same color and transparency.  The first of
+   * them is kept.
+   */
+  dedupePalette() {
+    if (!_doesContainChunk(this, 'PLTE')) {
+      throw new Error('Attempting to dedupe a palette when no palette exists');
+    }
+
+    const alphas = this.getTransparencies();
+    const firstIndices = new Map();
+    const paletteIndices = [];
+    const remap = _chunks.get(this).PLTE.getPixelPaletteIndices().reduce((acc, paletteIndex) => {
+      const alpha = 'undefined' !== typeof alphas[paletteIndex] ? alphas[paletteIndex] : 255;
+      const hashedEntry = hashPixelData(_chunks.get(this).PLTE.getColorOf(paletteIndex).concat(alpha));
+      if (!firstIndices.has(hashedEntry)) {
+        firstIndices.set(hashedEntry, paletteIndices.length);
+        paletteIndices.push(paletteIndex);
+      }
+      acc[paletteIndex] = firstIndices.get(hashedEntry);
+      return acc;
+    }, []);
+
+    _rebuildPalette(this, paletteIndices, remap);
+    return this;
+  }
+
+  /**
+   * Removes the palette entries that no pixel uses.  An entry used as the
+   * background is kept.
+   */
+  removeUnusedPaletteEntries() {
+    if (!_doesContainChunk(this, 'PLTE')) {
+      throw new Error('Attempting to remove palette entries when no palette exists');
+    }
+
+    const counts = _countPaletteEntryUses(this);
+    const backgroundIndex = _doesContainChunk(this, 'bKGD')
+      ? _chunks.get(this).bKGD.getBackgroundColor()[0]
+      : -1;
+    if (backgroundIndex >= 0 && backgroundIndex < counts.length) {
+      counts[backgroundIndex]++;
+    }
+
+    const paletteIndices = [];
+    const remap = counts.map((count, paletteIndex) => {
+      if (!count) {
+        return undefined;
+      }
+      paletteIndices.push(paletteIndex);
+      return paletteIndices.length - 1;
+    });
+
+    _rebuildPalette(this, paletteIndices, remap);
+    return this;
+  }
+
+  /**
+   * Notes:
+   * - A comparator receives two palette entries as `[r, g, b, alpha]` arrays.
+   */
+  sortPalette(order = PaletteSortOrders.LUMINANCE) {
+    if (!_doesContainChunk(this, 'PLTE')) {
+      throw new Error('Attempting to sort a palette when no palette exists');
+    }
+    if ('function' !== typeof order && !Object.values(PaletteSortOrders).includes(order)) {
+      throw new Error('Invalid palette sort order');
+    }
+
+    const alphas = this.getTransparencies();
+    const entries = _chunks.get(this).PLTE.getPixelPaletteIndices().map((paletteIndex) =>
+      _chunks.get(this).PLTE.getColorOf(paletteIndex).concat(
+        'undefined' !== typeof alphas[paletteIndex] ? alphas[paletteIndex] : 255));
+
+    const counts = _countPaletteEntryUses(this);
+    const compare = {
+      [PaletteSortOrders.LUMINANCE]: (a, b) => computeLuma(...entries[a]) - computeLuma(...entries[b]),
+      [PaletteSortOrders.FREQUENCY]: (a, b) => counts[b] - counts[a],
+    }[order] || ((a, b) => order(entries[a], entries[b]));
+
+    // Ties keep their current order.
+    const paletteIndices = entries.map((entry, paletteIndex) => paletteIndex)
+      .sort((a, b) => compare(a, b) || a - b);
+    const remap = [];
+    paletteIndices.forEach((paletteIndex, index) => {
+      remap[paletteIndex] = index;
+    });
+
+    _rebuildPalette(this, paletteIndices, remap);
     return this;
   }
 
@@ -549,7 +1787,8 @@ export default class RnPng {
     }
 
     if (this.hasAlphaChannel()) {
-      _chunks.get(this).IDAT.setAlpha(value, index);
+      _chunks.get(this).IDAT.setAlpha(index, value);
+      _dropImageDependentChunks(this);
       return this;
     }
 
@@ -581,6 +1820,7 @@ export default class RnPng {
     }
 
     _chunks.get(this).tRNS.setTransparency(value, index);
+    _frameCache.delete(this);
     return this;
   }
 
@@ -592,10 +1832,12 @@ export default class RnPng {
     if (this.isIndexed()) {
       const paletteIndex = _chunks.get(this).PLTE.getPaletteIndexOf(colorData);
       _chunks.get(this).tRNS.removeTransparencyOf(paletteIndex);
+      _frameCache.delete(this);
       return this;
     }
 
     _chunks.get(this).tRNS.removeTransparency(colorData);
+    _frameCache.delete(this);
     return this;
   }
 
@@ -603,12 +1845,14 @@ export default class RnPng {
     if (_doesContainChunk(this, 'PLTE') && !_doesContainChunk(this, 'bKGD')) {
       // The color at palette index 0 effectively acts as the background color.
       _chunks.get(this).PLTE.setColorOf(0, colorData);
+      _dropImageDependentChunks(this);
       return this;
     }
 
     if (!_doesContainChunk(this, 'bKGD')) {
       _chunks.get(this).bKGD = new bKGD({
         colorType: _colorType.get(this),
+        depth: _depth.get(this),
       });
     }
 
@@ -618,6 +1862,7 @@ export default class RnPng {
 
   removeTransparencies() {
     delete _chunks.get(this).tRNS;
+    _frameCache.delete(this);
     return this;
   }
 
@@ -626,12 +1871,508 @@ export default class RnPng {
     return this;
   }
 
+  getGamma() {
+    if (_doesContainChunk(this, 'gAMA')) {
+      return _chunks.get(this).gAMA.getGamma();
+    }
+    return undefined;
+  }
+
+  setGamma(value) {
+    if (!_isValidScaledValue(value, 0.00001)) {
+      throw new Error('Invalid gamma value');
+    }
+
+    if (!_doesContainChunk(this, 'gAMA')) {
+      _chunks.get(this).gAMA = new gAMA();
+    }
+    _chunks.get(this).gAMA.setGamma(value);
+    return this;
+  }
+
+  getChromaticities() {
+    if (_doesContainChunk(this, 'cHRM')) {
+      return _chunks.get(this).cHRM.getChromaticities();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - Expects the x and y values of the `whitePoint`, `red`, `green` and `blue`
+   *   properties, e.g. `{ whitePoint: { x: 0.3127, y: 0.329 }, ... }`
+   */
+  setChromaticities(chromaticities) {
+    const isValidPoint = (point) => 'object' === typeof point && null !== point
+      && _isValidScaledValue(point.x, 0) && _isValidScaledValue(point.y, 0);
+    if (!chromaticities || !['whitePoint', 'red', 'green', 'blue'].every((name) => isValidPoint(chromaticities[name]))) {
+      throw new Error('Invalid chromaticities');
+    }
+
+    if (!_doesContainChunk(this, 'cHRM')) {
+      _chunks.get(this).cHRM = new cHRM();
+    }
+    _chunks.get(this).cHRM.setChromaticities(chromaticities);
+    return this;
+  }
+
+  getSrgbIntent() {
+    if (_doesContainChunk(this, 'sRGB')) {
+      return _chunks.get(this).sRGB.getIntent();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - An image shouldn't have both an sRGB chunk and an ICC profile, so any ICC
+   *   profile is removed.
+   */
+  setSrgbIntent(intent) {
+    if (!Object.values(RenderingIntents).includes(intent)) {
+      throw new Error('Invalid rendering intent');
+    }
+
+    delete _chunks.get(this).iCCP;
+    _chunks.get(this).sRGB = new sRGB({ intent });
+    return this;
+  }
+
+  getIccProfile() {
+    if (_doesContainChunk(this, 'iCCP')) {
+      return _chunks.get(this).iCCP.getProfile();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - An image shouldn't have both an sRGB chunk and an ICC profile, so any sRGB
+   *   chunk is removed.
+   */
+  setIccProfile(name, profile) {
+    if (!isValidKeyword(name)) {
+      throw new Error('Invalid ICC profile name');
+    }
+    if (!(profile instanceof Uint8Array) && !Array.isArray(profile)) {
+      throw new Error('Invalid ICC profile');
+    }
+
+    delete _chunks.get(this).sRGB;
+    _chunks.get(this).iCCP = new iCCP({
+      name,
+      profile: Uint8Array.from(profile),
+      zlibLib: _zlibLib.get(this),
+    });
+    return this;
+  }
+
+  getSignificantBits() {
+    if (_doesContainChunk(this, 'sBIT')) {
+      return _chunks.get(this).sBIT.getSignificantBits();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - One value is expected per sample of a pixel.  Indexed images take the
+   *   significant bits of the palette's red, green and blue samples.
+   */
+  setSignificantBits(significantBits) {
+    const colorType = _colorType.get(this);
+    const requiredSamples = determineSignificantBitsSamplesPerEntry(colorType);
+    if (!Array.isArray(significantBits) || significantBits.length !== requiredSamples) {
+      throw new Error(`Incorrect number of significant bits supplied (${requiredSamples} expected)`);
+    }
+
+    const sampleDepth = isIndexed(colorType) ? BitDepths.EIGHT : _depth.get(this);
+    if (!significantBits.every((value) => Number.isInteger(value) && value > 0 && value <= sampleDepth)) {
+      throw new Error(`Significant bits must be between 1 and ${sampleDepth}`);
+    }
+
+    if (!_doesContainChunk(this, 'sBIT')) {
+      _chunks.get(this).sBIT = new sBIT({ colorType });
+    }
+    _chunks.get(this).sBIT.setSignificantBits(significantBits);
+    return this;
+  }
+
+  getHistogram() {
+    if (_doesContainChunk(this, 'hIST')) {
+      return _chunks.get(this).hIST.getFrequencies();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - The frequencies are computed from the image data when none are supplied.
+   * - The histogram is removed when the image data or palette changes.
+   */
+  setHistogram(frequencies) {
+    if (!_doesContainChunk(this, 'PLTE')) {
+      throw new Error('Attempting to set a histogram when no palette exists');
+    }
+
+    if ('undefined' === typeof frequencies) {
+      frequencies = _computeHistogram(this);
+    }
+
+    const numberOfColors = _chunks.get(this).PLTE.getCurrentNumberOfColors();
+    if (!Array.isArray(frequencies) || frequencies.length !== numberOfColors) {
+      throw new Error(`Incorrect number of histogram frequencies supplied (${numberOfColors} expected)`);
+    }
+    if (!frequencies.every(_isValidFrequency)) {
+      throw new Error('Histogram frequencies must be between 0 and 65535');
+    }
+
+    if (!_doesContainChunk(this, 'hIST')) {
+      _chunks.get(this).hIST = new hIST();
+    }
+    _chunks.get(this).hIST.setFrequencies(frequencies);
+    return this;
+  }
+
+  getSuggestedPalettes() {
+    return _getSuggestedPaletteChunks(this).map((chunk) => chunk.getPalette());
+  }
+
+  /**
+   * Notes:
+   * - Each entry is an object holding an RGBA `color` and its `frequency`.
+   * - Replaces any existing suggested palette with the same name.
+   * - Suggested palettes are removed when the image data or palette changes.
+   */
+  setSuggestedPalette(name, entries, depth = BitDepths.EIGHT) {
+    if (!isValidKeyword(name)) {
+      throw new Error('Invalid suggested palette name');
+    }
+    if (BitDepths.EIGHT !== depth && BitDepths.SIXTEEN !== depth) {
+      throw new Error('Suggested palettes must have a sample depth of 8 or 16');
+    }
+
+    const maxValue = determineMaxSampleValue(depth);
+    const isValidEntry = (entry) => entry && Array.isArray(entry.color) && 4 === entry.color.length
+      && entry.color.every((sample) => Number.isInteger(sample) && sample >= 0 && sample <= maxValue)
+      && _isValidFrequency(entry.frequency);
+    if (!Array.isArray(entries) || !entries.every(isValidEntry)) {
+      throw new Error('Invalid suggested palette entries');
+    }
+
+    const chunk = new sPLT({
+      name,
+      depth,
+      entries: entries.map((entry) => ({ color: entry.color.slice(), frequency: entry.frequency })),
+    });
+    const extraChunks = _extraChunks.get(this);
+    const index = extraChunks.findIndex((extraChunk) => 'sPLT' === extraChunk.header && extraChunk.name === name);
+
+    if (-1 === index) {
+      chunk.position = ChunkPositions.BEFORE_IDAT;
+      extraChunks.push(chunk);
+    } else {
+      chunk.position = extraChunks[index].position;
+      extraChunks[index] = chunk;
+    }
+    return this;
+  }
+
+  removeSuggestedPalette(name) {
+    _extraChunks.set(this, _extraChunks.get(this).filter((extraChunk) =>
+      'sPLT' !== extraChunk.header || extraChunk.name !== name));
+    return this;
+  }
+
+  getPhysicalDimensions() {
+    if (_doesContainChunk(this, 'pHYs')) {
+      return _chunks.get(this).pHYs.getDimensions();
+    }
+    return undefined;
+  }
+
+  setPhysicalDimensions({ x, y, unit = PhysicalUnits.METRE }) {
+    const isValidPixelsPerUnit = (value) =>
+      Number.isInteger(value) && value > 0 && value <= MAX_PIXELS_PER_UNIT;
+    if (!isValidPixelsPerUnit(x) || !isValidPixelsPerUnit(y)) {
+      throw new Error('Invalid number of pixels per unit');
+    }
+    if (!Object.values(PhysicalUnits).includes(unit)) {
+      throw new Error('Invalid physical unit');
+    }
+
+    if (!_doesContainChunk(this, 'pHYs')) {
+      _chunks.get(this).pHYs = new pHYs();
+    }
+    _chunks.get(this).pHYs.setDimensions({ x, y, unit });
+    return this;
+  }
+
+  /**
+   * Returns the resolution in dots per inch, or undefined when the physical size of
+   * the pixels isn't known.
+   */
+  getDpi() {
+    const dimensions = this.getPhysicalDimensions();
+    if (!dimensions || PhysicalUnits.METRE !== dimensions.unit) {
+      return undefined;
+    }
+
+    return {
+      x: Math.round(dimensions.x * METRES_PER_INCH),
+      y: Math.round(dimensions.y * METRES_PER_INCH),
+    };
+  }
+
+  setDpi(x, y = x) {
+    return this.setPhysicalDimensions({
+      x: Math.round(x / METRES_PER_INCH),
+      y: Math.round(y / METRES_PER_INCH),
+      unit: PhysicalUnits.METRE,
+    });
+  }
+
+  getLastModified() {
+    if (_doesContainChunk(this, 'tIME')) {
+      return _chunks.get(this).tIME.getDate();
+    }
+    return undefined;
+  }
+
+  /**
+   * Notes:
+   * - The tIME chunk only stores whole seconds.
+   */
+  setLastModified(date = new Date()) {
+    if (!(date instanceof Date) || isNaN(date.getTime())
+      || date.getUTCFullYear() < 0 || date.getUTCFullYear() > 0xffff) {
+      throw new Error('Invalid modification date');
+    }
+
+    if (!_doesContainChunk(this, 'tIME')) {
+      _chunks.get(this).tIME = new tIME();
+    }
+    _chunks.get(this).tIME.setDate(date);
+    return this;
+  }
+
+  isAnimated() {
+    return 'undefined' !== typeof _findExtraChunk(this, 'acTL');
+  }
+
+  /**
+   * Returns the number of times an animation should be played, where 0 means
+   * indefinitely.
+   */
+  getLoopCount() {
+    const animationControl = _findExtraChunk(this, 'acTL');
+    return animationControl ? animationControl.numberOfPlays : undefined;
+  }
+
+  getFrameCount() {
+    return _getAnimationFrames(this).length;
+  }
+
+  getFrameInfo(index) {
+    const frame = _getAnimationFrame(this, index);
+    const delayDenominator = frame.delayDenominator || DEFAULT_DELAY_DENOMINATOR;
+
+    return {
+      width: frame.width,
+      height: frame.height,
+      x: frame.x,
+      y: frame.y,
+      delay: frame.delayNumerator * MILLISECONDS_PER_SECOND / delayDenominator,
+      delayNumerator: frame.delayNumerator,
+      delayDenominator: frame.delayDenominator,
+      dispose: frame.dispose,
+      blend: frame.blend,
+      isDefaultImage: frame.isDefaultImage,
+    };
+  }
+
+  /**
+   * Returns the pixels of a frame's region, as stored in the image, without
+   * compositing them onto the frames before it.
+   */
+  getRawFrame(index) {
+    return _decodeFrameRegion(this, _getAnimationFrame(this, index));
+  }
+
+  /**
+   * Returns a frame as it is displayed: an RGBA image the size of the whole
+   * animation, composited according to the dispose and blend operations of the
+   * frames up to and including it.
+   */
+  getFrame(index) {
+    const frames = _getAnimationFrames(this);
+    _validateFrameIndex(frames, index);
+
+    const width = _width.get(this);
+    const height = _height.get(this);
+    const depth = BitDepths.SIXTEEN === _depth.get(this) ? BitDepths.SIXTEEN : BitDepths.EIGHT;
+    let composited = _frameCache.get(this);
+
+    if (!composited || composited.index !== index) {
+      // Frames are usually requested in order, so the compositing resumes from
+      // the last frame when it comes before this one.
+      const resumes = composited && composited.index < index;
+      const startIndex = resumes ? composited.index + 1 : 0;
+      composited = Object.assign({ index }, compositeFrames(
+        frames.slice(0, index + 1).map((frame, i) => i < startIndex ? frame : Object.assign({}, frame, {
+          data: _decodeFrameRegion(this, frame).getData(PixelLayouts.RGBA),
+        })),
+        startIndex,
+        index,
+        resumes ? composited.next : createSampleArray(depth, computeNumberOfPixels(width, height) * 4),
+        width,
+        determineMaxSampleValue(depth)
+      ));
+      _frameCache.set(this, composited);
+    }
+
+    const frameImage = new RnPng({
+      width,
+      height,
+      depth,
+      colorType: ColorTypes.TRUECOLOR_AND_ALPHA,
+      zlibLib: _zlibLib.get(this),
+    });
+    _chunks.get(frameImage).IDAT.pixelData = composited.displayed.slice();
+    return frameImage;
+  }
+
+  /**
+   * Notes:
+   * - Frames are converted to the RGBA samples of the animation.
+   * - The first frame has to cover the whole animation.
+   */
+  addFrame(frameImage, options = {}) {
+    const animationControl = _findExtraChunk(this, 'acTL');
+    if (!animationControl) {
+      throw new Error('Attempting to add a frame to an image that isn\'t animated');
+    }
+    if (!this.isTruecolorWithAlpha()) {
+      throw new Error('Frames can only be added to animations of color type 6');
+    }
+
+    const {
+      x = 0,
+      y = 0,
+      delay = 0,
+      dispose = DisposeOps.NONE,
+      blend = BlendOps.SOURCE,
+    } = options;
+    const { width, height } = frameImage;
+    const animationWidth = _width.get(this);
+    const animationHeight = _height.get(this);
+
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || width < 1 || height < 1
+      || x + width > animationWidth || y + height > animationHeight) {
+      throw new Error('Frame region exceeds the bounds of the animation');
+    }
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY_VALUE * MILLISECONDS_PER_SECOND) {
+      throw new Error('Invalid frame delay');
+    }
+    if (!Object.values(DisposeOps).includes(dispose)) {
+      throw new Error('Invalid dispose operation');
+    }
+    if (!Object.values(BlendOps).includes(blend)) {
+      throw new Error('Invalid blend operation');
+    }
+
+    const isFirstFrame = 0 === animationControl.numberOfFrames;
+    if (isFirstFrame && (x || y || width !== animationWidth || height !== animationHeight)) {
+      throw new Error('The first frame must cover the whole animation');
+    }
+
+    const extraChunks = _extraChunks.get(this);
+    let sequenceNumber = extraChunks.filter((chunk) => ['fcTL', 'fdAT'].includes(chunk.header)).length;
+    const pixelData = _toAnimationSamples(this, frameImage);
+    const frameControl = new fcTL(Object.assign({
+      sequenceNumber: sequenceNumber++,
+      width,
+      height,
+      x,
+      y,
+      dispose,
+      blend,
+    }, _toDelayFraction(delay)));
+
+    if (isFirstFrame) {
+      frameControl.position = ChunkPositions.BEFORE_IDAT;
+      extraChunks.push(frameControl);
+      _chunks.get(this).IDAT.pixelData = pixelData;
+    } else {
+      const frameData = new fdAT({
+        sequenceNumber,
+        data: _compressFrameData(this, width, height, pixelData),
+      });
+      frameControl.position = ChunkPositions.AFTER_IDAT;
+      frameData.position = ChunkPositions.AFTER_IDAT;
+      extraChunks.push(frameControl, frameData);
+    }
+
+    animationControl.numberOfFrames++;
+    _frameCache.delete(this);
+    return this;
+  }
+
+  getTextEntries() {
+    return _getTextChunks(this).map((chunk) => chunk.getEntry());
+  }
+
+  getText(keyword) {
+    const chunk = _getTextChunks(this).find((textChunk) => textChunk.keyword === keyword);
+    return chunk ? chunk.getEntry().text : undefined;
+  }
+
+  /**
+   * Notes:
+   * - An iTXt chunk is used when a language or translated keyword is supplied, or
+   *   when the text can't be represented in Latin-1.  Otherwise a zTXt chunk is
+   *   used for compressed text and a tEXt chunk for uncompressed text.
+   * - Replaces any existing entries for the keyword.
+   */
+  setText(keyword, value, options = {}) {
+    if (!isValidKeyword(keyword)) {
+      throw new Error('Invalid text keyword');
+    }
+    if ('string' !== typeof value) {
+      throw new Error('Text values must be strings');
+    }
+    if (options.language && !/^[A-Za-z0-9-]+$/.test(options.language)) {
+      throw new Error('Invalid language tag');
+    }
+
+    const chunk = _createTextChunk(this, keyword, value, options);
+    const extraChunks = _extraChunks.get(this);
+    const previous = extraChunks.find((extraChunk) => _isTextChunkOf(extraChunk, keyword));
+    chunk.position = previous ? previous.position : ChunkPositions.BEFORE_IDAT;
+
+    // The new entry takes the place of the first existing one.
+    const replaced = extraChunks
+      .map((extraChunk) => extraChunk === previous ? chunk : extraChunk)
+      .filter((extraChunk) => extraChunk === chunk || !_isTextChunkOf(extraChunk, keyword));
+    _extraChunks.set(this, previous ? replaced : replaced.concat(chunk));
+
+    return this;
+  }
+
+  removeText(keyword) {
+    _extraChunks.set(this, _extraChunks.get(this).filter((extraChunk) =>
+      !_isTextChunkOf(extraChunk, keyword)));
+    return this;
+  }
+
   applyZlibLib(lib) {
     if (typeof lib.inflate !== 'function' || typeof lib.deflate !== 'function') {
       throw new Error('zlib library is missing required methods');
     }
     _zlibLib.set(this, lib);
     _chunks.get(this).IDAT.applyZlibLib(lib);
+    _getTextChunks(this).forEach((chunk) => chunk.applyZlibLib && chunk.applyZlibLib(lib));
+    _doesContainChunk(this, 'iCCP') && _chunks.get(this).iCCP.applyZlibLib(lib);
     return this;
   }
 
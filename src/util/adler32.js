@@ -0,0 +1,25 @@
+/**
+ * @see https://tools.ietf.org/html/rfc1950#section-8
+ */
+const MOD_ADLER = 65521;
+
+// The largest number of bytes that can be summed before the running totals
+// need to be reduced to stay within 32 bits.
+const BLOCK_SIZE = 5552;
+
+export const calculateAdler32 = (data, start = 0, end = data.length) => {
+  let a = 1;
+  let b = 0;
+
+  for (let blockStart = start; blockStart < end; blockStart += BLOCK_SIZE) {
+    const blockEnd = Math.min(blockStart + BLOCK_SIZE, end);
+    for (let i = blockStart; i < blockEnd; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= MOD_ADLER;
+    b %= MOD_ADLER;
+  }
+
+  return ((b << 16) | a) >>> 0;
+};
@@ -0,0 +1,70 @@
+import { DisposeOps, BlendOps } from './constants';
+
+const SAMPLES_PER_PIXEL = 4;
+
+const forEachRegionPixel = (canvasWidth, frame, callback) => {
+  for (let y = 0; y < frame.height; y++) {
+    for (let x = 0; x < frame.width; x++) {
+      callback(
+        ((frame.y + y) * canvasWidth + frame.x + x) * SAMPLES_PER_PIXEL,
+        (y * frame.width + x) * SAMPLES_PER_PIXEL
+      );
+    }
+  }
+};
+
+const blendOver = (canvas, canvasIndex, data, dataIndex, maxValue) => {
+  const sourceAlpha = data[dataIndex + 3] / maxValue;
+  const destinationAlpha = canvas[canvasIndex + 3] / maxValue * (1 - sourceAlpha);
+  const alpha = sourceAlpha + destinationAlpha;
+
+  for (let i = 0; i < 3; i++) {
+    canvas[canvasIndex + i] = 0 === alpha
+      ? 0
+      : Math.round((data[dataIndex + i] * sourceAlpha + canvas[canvasIndex + i] * destinationAlpha) / alpha);
+  }
+  canvas[canvasIndex + 3] = Math.round(alpha * maxValue);
+};
+
+/**
+ * Renders the frames from `startIndex` up to and including `frameIndex` onto
+ * `canvas`, the RGBA samples that the frame at `startIndex` is rendered onto:
+ * fully transparent black for the first frame.  Each frame holds its region,
+ * dispose and blend operations, and, from `startIndex` on, its RGBA `data`.
+ * Returns the `displayed` samples of the frame at `frameIndex`, and the `next`
+ * canvas, which the frame after it is rendered onto.
+ * @see https://wiki.mozilla.org/APNG_Specification#.60fcTL.60:_The_Frame_Control_Chunk
+ */
+export const compositeFrames = (frames, startIndex, frameIndex, canvas, canvasWidth, maxValue) => {
+  let displayed = null;
+
+  for (let i = startIndex; i <= frameIndex; i++) {
+    const frame = frames[i];
+    // A first frame disposed to the previous frame is disposed to the background.
+    const dispose = 0 === i && DisposeOps.PREVIOUS === frame.dispose
+      ? DisposeOps.BACKGROUND
+      : frame.dispose;
+    const previous = DisposeOps.PREVIOUS === dispose ? canvas.slice() : null;
+
+    forEachRegionPixel(canvasWidth, frame, (canvasIndex, dataIndex) => {
+      if (BlendOps.OVER === frame.blend) {
+        blendOver(canvas, canvasIndex, frame.data, dataIndex, maxValue);
+      } else {
+        canvas.set(frame.data.subarray(dataIndex, dataIndex + SAMPLES_PER_PIXEL), canvasIndex);
+      }
+    });
+
+    if (i === frameIndex) {
+      displayed = canvas.slice();
+    }
+
+    if (DisposeOps.BACKGROUND === dispose) {
+      forEachRegionPixel(canvasWidth, frame, (canvasIndex) =>
+        canvas.fill(0, canvasIndex, canvasIndex + SAMPLES_PER_PIXEL));
+    } else if (DisposeOps.PREVIOUS === dispose) {
+      canvas.set(previous);
+    }
+  }
+
+  return { displayed, next: canvas };
+};
@@ -0,0 +1,56 @@
+/**
+ * @see https://www.w3.org/TR/PNG/#5Chunk-layout
+ */
+import {
+  CHUNK_LENGTH_SIZE,
+  CHUNK_HEADER_SIZE,
+  CHUNK_CRC32_SIZE,
+} from '../chunks/chunk';
+import { readUint32At } from './typed-array';
+
+const SIGNATURE_SIZE = 8;
+const MAX_CHUNK_LENGTH = 0x7fffffff;
+
+const isChunkTypeCharacter = (byte) =>
+  (byte >= 65 && byte <= 90) || (byte >= 97 && byte <= 122);
+
+/**
+ * Walks the chunks of a PNG in file order, starting after the signature.  Data
+ * following the IEND chunk is ignored.
+ */
+export const parseChunks = (bufView) => {
+  const chunks = [];
+  let offset = SIGNATURE_SIZE;
+
+  while (offset < bufView.byteLength) {
+    const dataOffset = offset + CHUNK_LENGTH_SIZE + CHUNK_HEADER_SIZE;
+    if (dataOffset > bufView.byteLength) {
+      throw new Error(`Truncated chunk found at offset ${offset}`);
+    }
+
+    const typeBytes = bufView.subarray(offset + CHUNK_LENGTH_SIZE, dataOffset);
+    if (!typeBytes.every(isChunkTypeCharacter)) {
+      throw new Error(`Invalid chunk type found at offset ${offset}`);
+    }
+
+    const type = String.fromCharCode(...typeBytes);
+    const length = readUint32At(bufView, offset) >>> 0;
+    if (length > MAX_CHUNK_LENGTH || dataOffset + length + CHUNK_CRC32_SIZE > bufView.byteLength) {
+      throw new Error(`Truncated ${type} chunk found at offset ${offset}`);
+    }
+
+    chunks.push({
+      type,
+      offset,
+      length,
+      crc: readUint32At(bufView, dataOffset + length) >>> 0,
+    });
+
+    if ('IEND' === type) {
+      break;
+    }
+    offset = dataOffset + length + CHUNK_CRC32_SIZE;
+  }
+
+  return chunks;
+};
@@ -1,6 +1,7 @@
 /**
  * @see https://www.w3.org/TR/PNG-Filters.html
  */
+import { FilterTypes, ScanlineFilterTypes } from './constants';
 
 const defilterSub = (rowData, bytesPerPixel) => {
   bytesPerPixel = bytesPerPixel < 1 ? 1 : bytesPerPixel;
@@ -12,6 +13,10 @@ const defilterSub = (rowData, bytesPerPixel) => {
 };
 
 const defilterUp = (rowData, previousRowData) => {
+  if (typeof previousRowData === 'undefined') {
+    return; // The first scanline of an image or pass is treated as if above it were zeros.
+  }
+
   const rowSize = rowData.byteLength;
   for (let i = 0; i < rowSize; i++) {
     rowData[i] = (rowData[i] + previousRowData[i]) & 255;
@@ -21,8 +26,13 @@ const defilterUp = (rowData, previousRowData) => {
 const defilterAverage = (rowData, bytesPerPixel, previousRowData) => {
   bytesPerPixel = bytesPerPixel < 1 ? 1 : bytesPerPixel;
   const rowSize = rowData.byteLength;
-  for (let i = bytesPerPixel; i < rowSize; i++) {
-    rowData[i] = Math.floor((rowData[i - bytesPerPixel] + previousRowData[i]) / 2) & 255;
+  let left;
+  let above;
+
+  for (let i = 0; i < rowSize; i++) {
+    left = i < bytesPerPixel ? 0 : rowData[i - bytesPerPixel];
+    above = typeof previousRowData === 'undefined' ? 0 : previousRowData[i];
+    rowData[i] = (rowData[i] + Math.floor((left + above) / 2)) & 255;
   }
 };
 
@@ -106,14 +116,71 @@ export const removeFilterFields = (pixelAndFilterData, dataRowSize, height) => {
   return pixelOnlyData;
 };
 
-export const addFilterFields = (pixelOnlyData, dataRowSize, height) => {
+/**
+ * The value each filter type predicts a byte to have from its neighbours.  The
+ * filtered byte is the difference between the actual and the predicted value.
+ */
+const predictors = {
+  [ScanlineFilterTypes.NONE]: () => 0,
+  [ScanlineFilterTypes.SUB]: (left) => left,
+  [ScanlineFilterTypes.UP]: (left, above) => above,
+  [ScanlineFilterTypes.AVERAGE]: (left, above) => Math.floor((left + above) / 2),
+  [ScanlineFilterTypes.PAETH]: computePaeth,
+};
+
+const filterRow = (filterType, rowData, bytesPerPixel, previousRowData, filteredRowData) => {
+  const predict = predictors[filterType];
+  const rowSize = rowData.byteLength;
+  let left;
+  let above;
+  let aboveLeft;
+
+  for (let i = 0; i < rowSize; i++) {
+    left = i < bytesPerPixel ? 0 : rowData[i - bytesPerPixel];
+    above = typeof previousRowData === 'undefined' ? 0 : previousRowData[i];
+    aboveLeft = i < bytesPerPixel || typeof previousRowData === 'undefined'
+      ? 0
+      : previousRowData[i - bytesPerPixel];
+    filteredRowData[i] = (rowData[i] - predict(left, above, aboveLeft)) & 255;
+  }
+};
+
+/**
+ * The minimum sum of absolute differences heuristic: filtered bytes are treated
+ * as signed, and the row closest to all zeros is expected to compress best.
+ * @see https://www.w3.org/TR/PNG/#12Filter-selection
+ */
+const sumAbsoluteDifferences = (filteredRowData) =>
+  filteredRowData.reduce((acc, byte) => acc + (byte < 128 ? byte : 256 - byte), 0);
+
+/**
+ * Filters each scanline with the given filter type, or with whichever type suits
+ * the row best when adaptive filtering is requested, and prefixes the type used.
+ */
+export const addFilterFields = (pixelOnlyData, dataRowSize, height, bytesPerPixel = 1,
+  filterType = ScanlineFilterTypes.NONE) => {
+  bytesPerPixel = bytesPerPixel < 1 ? 1 : bytesPerPixel;
   const scanlineStep = dataRowSize + 1;
-  let pixelAndFilterData = new Uint8ClampedArray(pixelOnlyData.length + height);
+  const pixelAndFilterData = new Uint8ClampedArray(pixelOnlyData.length + height);
+  const filterTypes = FilterTypes.ADAPTIVE === filterType
+    ? Object.values(ScanlineFilterTypes)
+    : [filterType];
+  const filteredRows = filterTypes.map(() => new Uint8Array(dataRowSize));
+  let previousRow;
 
   for (let i = 0, n = 0, x = 0; x < height; i += dataRowSize, n += scanlineStep, x++) {
-    let t = pixelOnlyData.subarray(i, i + dataRowSize);
-    let s = [0, ...t];
-    pixelAndFilterData.set(s, n);
+    const row = pixelOnlyData.subarray(i, i + dataRowSize);
+    filterTypes.forEach((type, t) => filterRow(type, row, bytesPerPixel, previousRow, filteredRows[t]));
+
+    let best = 0;
+    if (filterTypes.length > 1) {
+      const sums = filteredRows.map(sumAbsoluteDifferences);
+      best = sums.indexOf(Math.min(...sums));
+    }
+
+    pixelAndFilterData[n] = filterTypes[best];
+    pixelAndFilterData.set(filteredRows[best], n + 1);
+    previousRow = row;
   }
   return pixelAndFilterData;
 };
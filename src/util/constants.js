@@ -2,16 +2,43 @@ export const DEFAULT_TRANSPARENCY = 255;
 export const DEFAULT_COMPRESSION = 0;
 export const DEFAULT_FILTER = 0;
 export const DEFAULT_INTERLACE = 0;
+export const DEFAULT_COMPRESSION_LEVEL = 6;
+export const MAX_COMPRESSION_LEVEL = 9;
 
 export const SupportedChunks = [
   'IHDR',
+  'gAMA',
+  'cHRM',
+  'sRGB',
+  'iCCP',
+  'sBIT',
   'PLTE',
   'tRNS',
   'bKGD',
+  'hIST',
+  'pHYs',
   'IDAT',
+  'tIME',
   'IEND',
 ];
 
+/**
+ * Where a chunk not interpreted by RnPng appeared relative to the PLTE and IDAT
+ * chunks
+ * @see https://www.w3.org/TR/PNG/#14Ordering
+ */
+export const ChunkPositions = {
+  BEFORE_PLTE: 0,
+  BEFORE_IDAT: 1,
+  AFTER_IDAT: 2,
+};
+
+export const TextChunks = [
+  'tEXt',
+  'zTXt',
+  'iTXt',
+];
+
 export const ChunkHeaderSequences = {
   IHDR: [73, 72, 68, 82],
   PLTE: [80, 76, 84, 69],
@@ -37,6 +64,18 @@ export const ColorTypes = {
   TRUECOLOR_AND_ALPHA: 6,
 };
 
+/**
+ * The bit depths allowed for each color type
+ * @see https://www.w3.org/TR/PNG/#table111
+ */
+export const ColorTypeBitDepths = {
+  [ColorTypes.GRAYSCALE]: [1, 2, 4, 8, 16],
+  [ColorTypes.TRUECOLOR]: [8, 16],
+  [ColorTypes.INDEXED]: [1, 2, 4, 8],
+  [ColorTypes.GRAYSCALE_AND_ALPHA]: [8, 16],
+  [ColorTypes.TRUECOLOR_AND_ALPHA]: [8, 16],
+};
+
 export const PixelLayouts = {
   VALUE: 0,
   INDEX_VALUE: 1,
@@ -44,6 +83,80 @@ export const PixelLayouts = {
   RGBA: 4,
 };
 
+/**
+ * The unit of the pixels per unit values of a pHYs chunk
+ * @see https://www.w3.org/TR/PNG/#11pHYs
+ */
+export const PhysicalUnits = {
+  UNKNOWN: 0,
+  METRE: 1,
+};
+
+/**
+ * @see https://www.w3.org/TR/PNG/#11sRGB
+ */
+export const RenderingIntents = {
+  PERCEPTUAL: 0,
+  RELATIVE_COLORIMETRIC: 1,
+  SATURATION: 2,
+  ABSOLUTE_COLORIMETRIC: 3,
+};
+
+/**
+ * How the region of an APNG frame is treated before the next frame is rendered
+ * @see https://wiki.mozilla.org/APNG_Specification#.60fcTL.60:_The_Frame_Control_Chunk
+ */
+export const DisposeOps = {
+  NONE: 0,
+  BACKGROUND: 1,
+  PREVIOUS: 2,
+};
+
+/**
+ * Whether an APNG frame replaces or is alpha blended over its region
+ */
+export const BlendOps = {
+  SOURCE: 0,
+  OVER: 1,
+};
+
+export const InterlaceMethods = {
+  NONE: 0,
+  ADAM7: 1,
+};
+
+/**
+ * The starting position and spacing of the pixels in each Adam7 pass
+ * @see https://www.w3.org/TR/PNG/#8Interlace
+ */
+export const Adam7Passes = [
+  { xStart: 0, yStart: 0, xStep: 8, yStep: 8 },
+  { xStart: 4, yStart: 0, xStep: 8, yStep: 8 },
+  { xStart: 0, yStart: 4, xStep: 4, yStep: 8 },
+  { xStart: 2, yStart: 0, xStep: 4, yStep: 4 },
+  { xStart: 0, yStart: 2, xStep: 2, yStep: 4 },
+  { xStart: 1, yStart: 0, xStep: 2, yStep: 2 },
+  { xStart: 0, yStart: 1, xStep: 1, yStep: 2 },
+];
+
+export const VerifyModes = {
+  STRICT: 'strict',
+  WARN: 'warn',
+  OFF: 'off',
+};
+
+export const QuantizationMethods = {
+  MEDIAN_CUT: 'median-cut',
+  OCTREE: 'octree',
+  K_MEANS: 'k-means',
+};
+
+// The built-in orders of RnPng.sortPalette()
+export const PaletteSortOrders = {
+  LUMINANCE: 'luminance',
+  FREQUENCY: 'frequency',
+};
+
 export const ScanlineFilterTypes = {
   NONE: 0,
   SUB: 1,
@@ -51,3 +164,11 @@ export const ScanlineFilterTypes = {
   AVERAGE: 3,
   PAETH: 4,
 };
+
+/**
+ * The filtering applied when encoding: one scanline filter type for every row, or
+ * adaptive filtering, which picks a filter type per row.
+ */
+export const FilterTypes = Object.assign({}, ScanlineFilterTypes, {
+  ADAPTIVE: 'adaptive',
+});
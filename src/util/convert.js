@@ -0,0 +1,52 @@
+/**
+ * Converts RGBA pixel data between bit depths, and to grayscale.
+ */
+import { BitDepths } from './constants';
+import {
+  isGrayscale,
+  isGrayscaleWithAlpha,
+  createSampleArray,
+  determineMaxSampleValue,
+  determineGrayscaleStep,
+  computeLuma,
+} from './png-pixels';
+
+const computeNumberOfLevels = (depth) => 2 ** depth - 1;
+
+/**
+ * Creates a function that rounds a sample to the nearest level of `depth`.
+ * Samples below 8 bits are held scaled up to 8 bits.
+ */
+const createRescaler = (sourceDepth, depth) => {
+  const scale = computeNumberOfLevels(depth) / determineMaxSampleValue(sourceDepth);
+  const step = depth < BitDepths.EIGHT ? determineGrayscaleStep(depth) : 1;
+  return (sample) => Math.round(sample * scale) * step;
+};
+
+/**
+ * Converts RGBA pixel data of `sourceDepth` (8 or 16) to the scale of the samples
+ * of a color type and depth.  Colors are replaced by their luma for grayscale
+ * color types.  Alpha is rescaled to 8 bits when the depth is below that.
+ */
+export const convertPixels = (rgbaData, { sourceDepth, colorType, depth }) => {
+  const isGray = isGrayscale(colorType) || isGrayscaleWithAlpha(colorType);
+  const alphaDepth = Math.max(depth, BitDepths.EIGHT);
+  const rescaleColor = createRescaler(sourceDepth, depth);
+  const rescaleAlpha = createRescaler(sourceDepth, alphaDepth);
+  const convertedData = createSampleArray(alphaDepth, rgbaData.length);
+
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    if (isGray) {
+      const gray = rescaleColor(computeLuma(rgbaData[i], rgbaData[i + 1], rgbaData[i + 2]));
+      convertedData[i] = gray;
+      convertedData[i + 1] = gray;
+      convertedData[i + 2] = gray;
+    } else {
+      convertedData[i] = rescaleColor(rgbaData[i]);
+      convertedData[i + 1] = rescaleColor(rgbaData[i + 1]);
+      convertedData[i + 2] = rescaleColor(rgbaData[i + 2]);
+    }
+    convertedData[i + 3] = rescaleAlpha(rgbaData[i + 3]);
+  }
+  return convertedData;
+};
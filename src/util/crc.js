@@ -65,10 +65,14 @@ const _TABLE = new Int32Array([
   0xb40bbe37, 0xc30c8ea1, 0x5a05df1b, 0x2d02ef8d
 ]);
 
+/**
+ * Accepts either an ArrayBufferWrapper or a typed array of bytes.
+ */
 export const calculateCrc32 = (buffer, start, end) => {
+  const bytes = buffer.bufferView || buffer;
   let crc = -1;
   for (let i = 0; i < end; i++) {
-    const byte = buffer.get(start + i);
+    const byte = bytes[start + i];
     crc = _TABLE[(crc ^ byte) & 0xff] ^ ((crc >> 8) & 0x00ffffff);
   }
   return crc ^ -1;
@@ -0,0 +1,54 @@
+/**
+ * Values of the deflate format shared by the inflate and deflate implementations.
+ * @see https://tools.ietf.org/html/rfc1951
+ */
+export const MAX_CODE_LENGTH = 15;
+export const DEFLATE_METHOD = 8;
+export const END_OF_BLOCK = 256;
+export const ADLER_CHECKSUM_SIZE = 4;
+
+export const BlockTypes = {
+  STORED: 0,
+  FIXED: 1,
+  DYNAMIC: 2,
+};
+
+export const LENGTH_BASES = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+export const LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+export const DISTANCE_BASES = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+export const DISTANCE_EXTRA_BITS = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// The order in which the lengths of the code length alphabet are stored
+export const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+export const FIXED_LITERAL_LENGTHS = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280);
+export const FIXED_DISTANCE_LENGTHS = new Array(30).fill(5);
+
+/**
+ * Grows a `{ buffer, length }` output so that `size` more bytes fit.
+ */
+export const ensureCapacity = (output, size) => {
+  if (output.length + size <= output.buffer.length) {
+    return;
+  }
+
+  let capacity = Math.max(1, output.buffer.length * 2);
+  while (capacity < output.length + size) {
+    capacity *= 2;
+  }
+  const buffer = new Uint8Array(capacity);
+  buffer.set(output.buffer.subarray(0, output.length));
+  output.buffer = buffer;
+};
@@ -0,0 +1,519 @@
+/**
+ * Compresses data into zlib streams, for use when no zlib library has been applied.
+ * Matches are found with hash chains, and each block is written with whichever
+ * of stored, fixed or dynamic Huffman coding is smallest.
+ * @see https://tools.ietf.org/html/rfc1950
+ * @see https://tools.ietf.org/html/rfc1951
+ */
+import { calculateAdler32 } from './adler32';
+import { DEFAULT_COMPRESSION_LEVEL, MAX_COMPRESSION_LEVEL } from './constants';
+import {
+  MAX_CODE_LENGTH,
+  DEFLATE_METHOD,
+  END_OF_BLOCK,
+  BlockTypes,
+  LENGTH_BASES,
+  LENGTH_EXTRA_BITS,
+  DISTANCE_BASES,
+  DISTANCE_EXTRA_BITS,
+  CODE_LENGTH_ORDER,
+  FIXED_LITERAL_LENGTHS,
+  FIXED_DISTANCE_LENGTHS,
+  ensureCapacity,
+} from './deflate-format';
+
+const WINDOW_BITS = 15;
+const WINDOW_SIZE = 1 << WINDOW_BITS;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_BITS = 15;
+const HASH_MASK = (1 << HASH_BITS) - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_STORED_BLOCK_SIZE = 0xffff;
+const MAX_BLOCK_TOKENS = 0x4000;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const NUMBER_OF_LITERAL_CODES = 286;
+const NUMBER_OF_DISTANCE_CODES = 30;
+
+/**
+ * How hard each compression level searches for matches: the number of earlier
+ * positions compared, the match length that ends the search early, and the
+ * length below which the next position is tried for a longer match.
+ */
+const LEVEL_SETTINGS = [
+  null,
+  { maxChain: 4, niceLength: 8, lazyLength: 0 },
+  { maxChain: 8, niceLength: 16, lazyLength: 0 },
+  { maxChain: 32, niceLength: 32, lazyLength: 0 },
+  { maxChain: 16, niceLength: 16, lazyLength: 4 },
+  { maxChain: 32, niceLength: 32, lazyLength: 16 },
+  { maxChain: 128, niceLength: 128, lazyLength: 16 },
+  { maxChain: 256, niceLength: 128, lazyLength: 32 },
+  { maxChain: 1024, niceLength: MAX_MATCH, lazyLength: 128 },
+  { maxChain: 4096, niceLength: MAX_MATCH, lazyLength: MAX_MATCH },
+];
+
+const LENGTH_CODES = new Uint8Array(MAX_MATCH + 1);
+LENGTH_BASES.forEach((base, code) => LENGTH_CODES.fill(code, base));
+
+const determineDistanceCode = (distance) => {
+  let code = DISTANCE_BASES.length - 1;
+  while (DISTANCE_BASES[code] > distance) {
+    code--;
+  }
+  return code;
+};
+
+const writeBits = (writer, value, count) => {
+  writer.bitBuffer |= value << writer.bitCount;
+  writer.bitCount += count;
+
+  while (writer.bitCount >= 8) {
+    ensureCapacity(writer, 1);
+    writer.buffer[writer.length++] = writer.bitBuffer & 255;
+    writer.bitBuffer >>>= 8;
+    writer.bitCount -= 8;
+  }
+};
+
+const alignToByte = (writer) => {
+  if (writer.bitCount > 0) {
+    writeBits(writer, 0, 8 - writer.bitCount);
+  }
+};
+
+/**
+ * Computes Huffman code lengths by merging the two least frequent nodes until one
+ * remains.  Leaves are sorted once, and merged nodes are created in order of
+ * weight, so the two smallest are always at the front of one of the two queues.
+ */
+const computeHuffmanLengths = (frequencies) => {
+  const lengths = new Array(frequencies.length).fill(0);
+  const leaves = frequencies
+    .map((frequency, symbol) => ({ frequency, symbol }))
+    .filter((leaf) => leaf.frequency > 0)
+    .sort((a, b) => a.frequency - b.frequency || a.symbol - b.symbol);
+
+  // A single code can't be decoded by every inflater, so a second is added.
+  if (leaves.length < 2) {
+    const used = leaves.length ? leaves[0].symbol : 0;
+    lengths[used] = 1;
+    lengths[0 === used ? 1 : 0] = 1;
+    return lengths;
+  }
+
+  const numberOfLeaves = leaves.length;
+  const weights = leaves.map((leaf) => leaf.frequency);
+  const parents = [];
+  let nextLeaf = 0;
+  let nextMerged = numberOfLeaves;
+
+  const takeSmallest = () => {
+    if (nextLeaf < numberOfLeaves && (nextMerged >= weights.length || weights[nextLeaf] <= weights[nextMerged])) {
+      return nextLeaf++;
+    }
+    return nextMerged++;
+  };
+
+  for (let i = 1; i < numberOfLeaves; i++) {
+    const first = takeSmallest();
+    const second = takeSmallest();
+    parents[first] = weights.length;
+    parents[second] = weights.length;
+    weights.push(weights[first] + weights[second]);
+  }
+
+  // Parents are always created after their children.
+  const depths = new Array(weights.length).fill(0);
+  for (let node = weights.length - 2; node >= 0; node--) {
+    depths[node] = depths[parents[node]] + 1;
+  }
+  leaves.forEach((leaf, i) => {
+    lengths[leaf.symbol] = depths[i];
+  });
+  return lengths;
+};
+
+/**
+ * Flattens the frequencies until no code is longer than allowed.  Once every
+ * frequency is 1 the codes are as short as they can be.
+ */
+const buildCodeLengths = (frequencies, maxLength) => {
+  let adjustedFrequencies = Array.from(frequencies);
+  let lengths = computeHuffmanLengths(adjustedFrequencies);
+
+  while (Math.max(...lengths) > maxLength) {
+    adjustedFrequencies = adjustedFrequencies.map((frequency) => frequency && Math.max(1, frequency >> 1));
+    lengths = computeHuffmanLengths(adjustedFrequencies);
+  }
+  return lengths;
+};
+
+const reverseBits = (value, count) => {
+  let reversed = 0;
+  for (let i = 0; i < count; i++) {
+    reversed = (reversed << 1) | ((value >> i) & 1);
+  }
+  return reversed;
+};
+
+/**
+ * Assigns canonical codes, bit reversed as the bit writer fills bytes from their
+ * least significant bit while Huffman codes are packed most significant bit first.
+ * @see https://tools.ietf.org/html/rfc1951#section-3.2.2
+ */
+const buildHuffmanCodes = (lengths) => {
+  const counts = new Array(MAX_CODE_LENGTH + 1).fill(0);
+  lengths.forEach((length) => counts[length]++);
+  counts[0] = 0;
+
+  const nextCodes = new Array(MAX_CODE_LENGTH + 1).fill(0);
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    nextCodes[length] = (nextCodes[length - 1] + counts[length - 1]) << 1;
+  }
+
+  return lengths.map((length) => (length ? reverseBits(nextCodes[length]++, length) : 0));
+};
+
+const createHuffmanCoding = (literalLengths, distanceLengths) => ({
+  literalLengths,
+  distanceLengths,
+  literalCodes: buildHuffmanCodes(literalLengths),
+  distanceCodes: buildHuffmanCodes(distanceLengths),
+});
+
+const FIXED_CODING = createHuffmanCoding(FIXED_LITERAL_LENGTHS, FIXED_DISTANCE_LENGTHS);
+
+/**
+ * Run-length encodes the code lengths of a dynamic block with the repeat codes
+ * 16 (repeat the previous length), 17 and 18 (repeat zero).
+ * @see https://tools.ietf.org/html/rfc1951#section-3.2.7
+ */
+const encodeCodeLengths = (lengths) => {
+  const items = [];
+  let i = 0;
+
+  while (i < lengths.length) {
+    const length = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === length) {
+      run++;
+    }
+    i += run;
+
+    if (0 === length) {
+      while (run >= 11) {
+        const repeat = Math.min(run, 138);
+        items.push({ symbol: 18, extraBits: 7, extraValue: repeat - 11 });
+        run -= repeat;
+      }
+      if (run >= 3) {
+        items.push({ symbol: 17, extraBits: 3, extraValue: run - 3 });
+        run = 0;
+      }
+    } else {
+      items.push({ symbol: length, extraBits: 0, extraValue: 0 });
+      run--;
+      while (run >= 3) {
+        const repeat = Math.min(run, 6);
+        items.push({ symbol: 16, extraBits: 2, extraValue: repeat - 3 });
+        run -= repeat;
+      }
+    }
+    for (; run > 0; run--) {
+      items.push({ symbol: length, extraBits: 0, extraValue: 0 });
+    }
+  }
+  return items;
+};
+
+const countUsedCodes = (lengths, minimum) => {
+  let count = lengths.length;
+  while (count > minimum && !lengths[count - 1]) {
+    count--;
+  }
+  return count;
+};
+
+const buildDynamicCoding = (literalFrequencies, distanceFrequencies) => {
+  const literalLengths = buildCodeLengths(literalFrequencies, MAX_CODE_LENGTH);
+  const distanceLengths = buildCodeLengths(distanceFrequencies, MAX_CODE_LENGTH);
+  const numberOfLiteralCodes = countUsedCodes(literalLengths, END_OF_BLOCK + 1);
+  const numberOfDistanceCodes = countUsedCodes(distanceLengths, 1);
+
+  const items = encodeCodeLengths(literalLengths.slice(0, numberOfLiteralCodes)
+    .concat(distanceLengths.slice(0, numberOfDistanceCodes)));
+  const codeLengthFrequencies = new Array(CODE_LENGTH_ORDER.length).fill(0);
+  items.forEach((item) => codeLengthFrequencies[item.symbol]++);
+  const codeLengthLengths = buildCodeLengths(codeLengthFrequencies, MAX_CODE_LENGTH_CODE_LENGTH);
+  const numberOfCodeLengthCodes = countUsedCodes(CODE_LENGTH_ORDER.map((symbol) => codeLengthLengths[symbol]), 4);
+
+  return Object.assign(createHuffmanCoding(literalLengths, distanceLengths), {
+    numberOfLiteralCodes,
+    numberOfDistanceCodes,
+    numberOfCodeLengthCodes,
+    codeLengthLengths,
+    codeLengthCodes: buildHuffmanCodes(codeLengthLengths),
+    items,
+    headerSize: 14 + 3 * numberOfCodeLengthCodes + items.reduce((acc, item) =>
+      acc + codeLengthLengths[item.symbol] + item.extraBits, 0),
+  });
+};
+
+const writeDynamicHeader = (writer, coding) => {
+  writeBits(writer, coding.numberOfLiteralCodes - 257, 5);
+  writeBits(writer, coding.numberOfDistanceCodes - 1, 5);
+  writeBits(writer, coding.numberOfCodeLengthCodes - 4, 4);
+  for (let i = 0; i < coding.numberOfCodeLengthCodes; i++) {
+    writeBits(writer, coding.codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+  }
+  coding.items.forEach((item) => {
+    writeBits(writer, coding.codeLengthCodes[item.symbol], coding.codeLengthLengths[item.symbol]);
+    writeBits(writer, item.extraValue, item.extraBits);
+  });
+};
+
+/**
+ * The size in bits of the block's symbols, excluding the block header.
+ */
+const calculateCodedSize = (block, coding) =>
+  block.literalFrequencies.reduce((acc, frequency, symbol) => acc + frequency * coding.literalLengths[symbol], 0)
+  + block.distanceFrequencies.reduce((acc, frequency, code) => acc + frequency * coding.distanceLengths[code], 0)
+  + block.extraBitsSize;
+
+const writeSymbols = (writer, block, coding) => {
+  for (let i = 0; i < block.numberOfTokens; i++) {
+    const length = block.lengths[i];
+    if (!length) {
+      const literal = block.values[i];
+      writeBits(writer, coding.literalCodes[literal], coding.literalLengths[literal]);
+      continue;
+    }
+
+    const lengthCode = LENGTH_CODES[length];
+    const lengthSymbol = END_OF_BLOCK + 1 + lengthCode;
+    writeBits(writer, coding.literalCodes[lengthSymbol], coding.literalLengths[lengthSymbol]);
+    writeBits(writer, length - LENGTH_BASES[lengthCode], LENGTH_EXTRA_BITS[lengthCode]);
+
+    const distance = block.values[i];
+    const distanceCode = determineDistanceCode(distance);
+    writeBits(writer, coding.distanceCodes[distanceCode], coding.distanceLengths[distanceCode]);
+    writeBits(writer, distance - DISTANCE_BASES[distanceCode], DISTANCE_EXTRA_BITS[distanceCode]);
+  }
+  writeBits(writer, coding.literalCodes[END_OF_BLOCK], coding.literalLengths[END_OF_BLOCK]);
+};
+
+const writeStoredBlocks = (writer, data, start, end, isFinal) => {
+  let offset = start;
+  do {
+    const size = Math.min(MAX_STORED_BLOCK_SIZE, end - offset);
+    const isLast = offset + size === end;
+
+    writeBits(writer, isFinal && isLast ? 1 : 0, 1);
+    writeBits(writer, BlockTypes.STORED, 2);
+    alignToByte(writer);
+    writeBits(writer, size, 16);
+    writeBits(writer, ~size & 0xffff, 16);
+
+    ensureCapacity(writer, size);
+    writer.buffer.set(data.subarray(offset, offset + size), writer.length);
+    writer.length += size;
+    offset += size;
+  } while (offset < end);
+};
+
+const writeBlock = (writer, data, block, isFinal) => {
+  const dynamicCoding = buildDynamicCoding(block.literalFrequencies, block.distanceFrequencies);
+  const fixedSize = calculateCodedSize(block, FIXED_CODING);
+  const dynamicSize = dynamicCoding.headerSize + calculateCodedSize(block, dynamicCoding);
+  const storedSize = Math.max(1, Math.ceil((block.end - block.start) / MAX_STORED_BLOCK_SIZE)) * 42
+    + (block.end - block.start) * 8;
+
+  if (storedSize < Math.min(fixedSize, dynamicSize)) {
+    writeStoredBlocks(writer, data, block.start, block.end, isFinal);
+    return;
+  }
+
+  writeBits(writer, isFinal ? 1 : 0, 1);
+  if (fixedSize <= dynamicSize) {
+    writeBits(writer, BlockTypes.FIXED, 2);
+    writeSymbols(writer, block, FIXED_CODING);
+    return;
+  }
+  writeBits(writer, BlockTypes.DYNAMIC, 2);
+  writeDynamicHeader(writer, dynamicCoding);
+  writeSymbols(writer, block, dynamicCoding);
+};
+
+const createBlock = (start) => {
+  const literalFrequencies = new Array(NUMBER_OF_LITERAL_CODES).fill(0);
+  literalFrequencies[END_OF_BLOCK] = 1;
+
+  return {
+    start,
+    end: start,
+    lengths: new Uint16Array(MAX_BLOCK_TOKENS),
+    values: new Uint16Array(MAX_BLOCK_TOKENS),
+    numberOfTokens: 0,
+    literalFrequencies,
+    distanceFrequencies: new Array(NUMBER_OF_DISTANCE_CODES).fill(0),
+    extraBitsSize: 0,
+  };
+};
+
+const addLiteral = (block, literal) => {
+  block.lengths[block.numberOfTokens] = 0;
+  block.values[block.numberOfTokens++] = literal;
+  block.literalFrequencies[literal]++;
+  block.end++;
+};
+
+const addMatch = (block, length, distance) => {
+  const lengthCode = LENGTH_CODES[length];
+  const distanceCode = determineDistanceCode(distance);
+
+  block.lengths[block.numberOfTokens] = length;
+  block.values[block.numberOfTokens++] = distance;
+  block.literalFrequencies[END_OF_BLOCK + 1 + lengthCode]++;
+  block.distanceFrequencies[distanceCode]++;
+  block.extraBitsSize += LENGTH_EXTRA_BITS[lengthCode] + DISTANCE_EXTRA_BITS[distanceCode];
+  block.end += length;
+};
+
+const hashAt = (data, position) =>
+  ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & HASH_MASK;
+
+/**
+ * Positions with the same hash are chained, most recent first, through `previous`,
+ * which only holds the positions within the window.
+ */
+const findLongestMatch = (data, position, chains, settings) => {
+  const maxLength = Math.min(MAX_MATCH, data.length - position);
+  const match = { length: 0, distance: 0 };
+  if (maxLength < MIN_MATCH) {
+    return match;
+  }
+
+  let candidate = chains.head[hashAt(data, position)];
+  let remainingChain = settings.maxChain;
+
+  while (candidate >= 0 && position - candidate <= WINDOW_SIZE && remainingChain-- > 0) {
+    if (data[candidate + match.length] === data[position + match.length]) {
+      let length = 0;
+      while (length < maxLength && data[candidate + length] === data[position + length]) {
+        length++;
+      }
+      if (length > match.length) {
+        match.length = length;
+        match.distance = position - candidate;
+        if (length >= settings.niceLength) {
+          break;
+        }
+      }
+    }
+
+    const next = chains.previous[candidate & WINDOW_MASK];
+    if (next >= candidate) {
+      break;
+    }
+    candidate = next;
+  }
+
+  if (match.length < MIN_MATCH) {
+    match.length = 0;
+  }
+  return match;
+};
+
+const insertPosition = (data, position, chains) => {
+  if (position + MIN_MATCH > data.length) {
+    return;
+  }
+  const hash = hashAt(data, position);
+  chains.previous[position & WINDOW_MASK] = chains.head[hash];
+  chains.head[hash] = position;
+};
+
+const compressBlocks = (writer, data, settings) => {
+  const chains = {
+    head: new Int32Array(HASH_MASK + 1).fill(-1),
+    previous: new Int32Array(WINDOW_SIZE).fill(-1),
+  };
+  let block = createBlock(0);
+  let position = 0;
+
+  while (position < data.length) {
+    if (MAX_BLOCK_TOKENS === block.numberOfTokens) {
+      writeBlock(writer, data, block, false);
+      block = createBlock(position);
+    }
+
+    const match = findLongestMatch(data, position, chains, settings);
+    insertPosition(data, position, chains);
+
+    // Lazy matching: a literal is written instead if the next position has a longer match.
+    if (match.length && match.length < settings.lazyLength
+      && findLongestMatch(data, position + 1, chains, settings).length > match.length) {
+      addLiteral(block, data[position++]);
+      continue;
+    }
+
+    if (!match.length) {
+      addLiteral(block, data[position++]);
+      continue;
+    }
+
+    addMatch(block, match.length, match.distance);
+    for (let i = 1; i < match.length; i++) {
+      insertPosition(data, position + i, chains);
+    }
+    position += match.length;
+  }
+
+  writeBlock(writer, data, block, true);
+};
+
+/**
+ * The FLEVEL field of the zlib header, informing recompressors of the level used.
+ */
+const determineLevelFlag = (level) => {
+  if (level < 2) {
+    return 0;
+  }
+  if (level < 6) {
+    return 1;
+  }
+  return 6 === level ? 2 : 3;
+};
+
+export const validateCompressionLevel = (level) => {
+  if (!Number.isInteger(level) || level < 0 || level > MAX_COMPRESSION_LEVEL) {
+    throw new Error('Invalid compression level');
+  }
+};
+
+/**
+ * Compresses data into a zlib stream.  A level of 0 stores the data uncompressed,
+ * and levels 1 to 9 search progressively harder for repeated data.
+ */
+export const deflate = (data, options = {}) => {
+  const { level = DEFAULT_COMPRESSION_LEVEL } = options;
+  validateCompressionLevel(level);
+
+  const writer = { buffer: new Uint8Array(Math.max(64, data.length + 16)), length: 0, bitBuffer: 0, bitCount: 0 };
+  const compressionMethodAndFlags = ((WINDOW_BITS - 8) << 4) | DEFLATE_METHOD;
+  const levelFlags = determineLevelFlag(level) << 6;
+  writeBits(writer, compressionMethodAndFlags, 8);
+  writeBits(writer, levelFlags + (31 - ((compressionMethodAndFlags << 8) + levelFlags) % 31) % 31, 8);
+
+  if (0 === level) {
+    writeStoredBlocks(writer, data, 0, data.length, true);
+  } else {
+    compressBlocks(writer, data, LEVEL_SETTINGS[level]);
+  }
+
+  alignToByte(writer);
+  const adler32 = calculateAdler32(data);
+  [24, 16, 8, 0].forEach((shift) => writeBits(writer, (adler32 >>> shift) & 255, 8));
+  return writer.buffer.slice(0, writer.length);
+};
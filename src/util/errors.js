@@ -0,0 +1,14 @@
+/**
+ * Thrown when the stored checksum of a chunk, or of the zlib stream spread
+ * across the IDAT chunks, doesn't match its data.
+ */
+export class ChecksumError extends Error {
+  constructor(message, chunkType) {
+    super(message);
+    // Transpiled classes can't extend Error, so `instanceof` needs the prototype
+    // set explicitly.
+    Object.setPrototypeOf(this, ChecksumError.prototype);
+    this.name = 'ChecksumError';
+    this.chunkType = chunkType;
+  }
+}
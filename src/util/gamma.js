@@ -0,0 +1,22 @@
+/**
+ * @see https://www.w3.org/TR/PNG/#13Decoder-gamma-handling
+ * @see https://en.wikipedia.org/wiki/SRGB#Transfer_function_(%22gamma%22)
+ */
+const encodeSrgb = (linear) =>
+  linear <= 0.0031308
+    ? 12.92 * linear
+    : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+
+/**
+ * Converts color samples encoded with the gamma of a gAMA chunk to the sRGB
+ * transfer function.  Alpha samples, which are always the last sample of a
+ * pixel, are left untouched.
+ */
+export const correctGammaToSrgb = (sampleData, gamma, maxValue, samplesPerPixel, hasAlpha) => {
+  const table = new Float64Array(maxValue + 1).map((value, sample) =>
+    Math.round(encodeSrgb(Math.pow(sample / maxValue, 1 / gamma)) * maxValue));
+  const alphaIndex = hasAlpha ? samplesPerPixel - 1 : -1;
+
+  return sampleData.map((sample, i) =>
+    alphaIndex === i % samplesPerPixel ? sample : table[sample]);
+};
@@ -0,0 +1,255 @@
+/**
+ * Decompresses zlib streams, for use when no zlib library has been applied.
+ * @see https://tools.ietf.org/html/rfc1950
+ * @see https://tools.ietf.org/html/rfc1951
+ */
+import { calculateAdler32 } from './adler32';
+import { readUint32At } from './typed-array';
+import {
+  MAX_CODE_LENGTH,
+  DEFLATE_METHOD,
+  END_OF_BLOCK,
+  ADLER_CHECKSUM_SIZE,
+  BlockTypes,
+  LENGTH_BASES,
+  LENGTH_EXTRA_BITS,
+  DISTANCE_BASES,
+  DISTANCE_EXTRA_BITS,
+  CODE_LENGTH_ORDER,
+  FIXED_LITERAL_LENGTHS,
+  FIXED_DISTANCE_LENGTHS,
+  ensureCapacity,
+} from './deflate-format';
+
+const MAX_WINDOW_INFO = 7;
+const PRESET_DICTIONARY_FLAG = 0x20;
+
+/**
+ * Huffman codes are canonical, so a table only needs the number of codes of each
+ * length and the symbols ordered by code.
+ * @see https://tools.ietf.org/html/rfc1951#section-3.2.2
+ */
+const buildHuffmanTable = (codeLengths) => {
+  const counts = new Uint16Array(MAX_CODE_LENGTH + 1);
+  const offsets = new Uint16Array(MAX_CODE_LENGTH + 1);
+  const symbols = new Uint16Array(codeLengths.length);
+
+  codeLengths.forEach((codeLength) => counts[codeLength]++);
+  counts[0] = 0;
+  for (let codeLength = 1; codeLength < MAX_CODE_LENGTH; codeLength++) {
+    offsets[codeLength + 1] = offsets[codeLength] + counts[codeLength];
+  }
+  codeLengths.forEach((codeLength, symbol) => {
+    if (codeLength) {
+      symbols[offsets[codeLength]++] = symbol;
+    }
+  });
+
+  return { counts, symbols };
+};
+
+const buildFixedTables = () => ({
+  literalTable: buildHuffmanTable(FIXED_LITERAL_LENGTHS),
+  distanceTable: buildHuffmanTable(FIXED_DISTANCE_LENGTHS),
+});
+
+let fixedTables = null;
+
+const readBits = (stream, count) => {
+  let bits = stream.bitBuffer;
+  while (stream.bitCount < count) {
+    if (stream.offset >= stream.data.length) {
+      throw new Error('Unexpected end of zlib data');
+    }
+    bits |= stream.data[stream.offset++] << stream.bitCount;
+    stream.bitCount += 8;
+  }
+
+  stream.bitBuffer = bits >>> count;
+  stream.bitCount -= count;
+  return bits & ((1 << count) - 1);
+};
+
+/**
+ * Huffman codes are packed starting with their most significant bit, so they are
+ * read a bit at a time.
+ */
+const decodeSymbol = (stream, table) => {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+
+  for (let codeLength = 1; codeLength <= MAX_CODE_LENGTH; codeLength++) {
+    code |= readBits(stream, 1);
+    const count = table.counts[codeLength];
+    if (code - first < count) {
+      return table.symbols[index + code - first];
+    }
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('Invalid Huffman code in zlib data');
+};
+
+const inflateStoredBlock = (stream, output) => {
+  // Stored blocks start on a byte boundary.
+  stream.bitBuffer = 0;
+  stream.bitCount = 0;
+
+  const { data, offset } = stream;
+  if (offset + 4 > data.length) {
+    throw new Error('Unexpected end of zlib data');
+  }
+
+  const length = data[offset] | (data[offset + 1] << 8);
+  const complement = data[offset + 2] | (data[offset + 3] << 8);
+  if (length !== (~complement & 0xffff)) {
+    throw new Error('Invalid stored block length in zlib data');
+  }
+  if (offset + 4 + length > data.length) {
+    throw new Error('Unexpected end of zlib data');
+  }
+
+  ensureCapacity(output, length);
+  output.buffer.set(data.subarray(offset + 4, offset + 4 + length), output.length);
+  output.length += length;
+  stream.offset = offset + 4 + length;
+};
+
+const readDynamicTables = (stream) => {
+  const numberOfLiteralCodes = readBits(stream, 5) + 257;
+  const numberOfDistanceCodes = readBits(stream, 5) + 1;
+  const numberOfCodeLengthCodes = readBits(stream, 4) + 4;
+
+  const codeLengthLengths = new Array(CODE_LENGTH_ORDER.length).fill(0);
+  for (let i = 0; i < numberOfCodeLengthCodes; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(stream, 3);
+  }
+  const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+  const codeLengths = [];
+  while (codeLengths.length < numberOfLiteralCodes + numberOfDistanceCodes) {
+    const symbol = decodeSymbol(stream, codeLengthTable);
+    if (symbol < 16) {
+      codeLengths.push(symbol);
+      continue;
+    }
+
+    let repeatedLength = 0;
+    let repeat;
+    if (16 === symbol) {
+      if (!codeLengths.length) {
+        throw new Error('Invalid code lengths in zlib data');
+      }
+      repeatedLength = codeLengths[codeLengths.length - 1];
+      repeat = 3 + readBits(stream, 2);
+    } else if (17 === symbol) {
+      repeat = 3 + readBits(stream, 3);
+    } else {
+      repeat = 11 + readBits(stream, 7);
+    }
+    if (codeLengths.length + repeat > numberOfLiteralCodes + numberOfDistanceCodes) {
+      throw new Error('Invalid code lengths in zlib data');
+    }
+    for (let i = 0; i < repeat; i++) {
+      codeLengths.push(repeatedLength);
+    }
+  }
+
+  if (!codeLengths[END_OF_BLOCK]) {
+    throw new Error('Missing end of block code in zlib data');
+  }
+
+  return {
+    literalTable: buildHuffmanTable(codeLengths.slice(0, numberOfLiteralCodes)),
+    distanceTable: buildHuffmanTable(codeLengths.slice(numberOfLiteralCodes)),
+  };
+};
+
+const inflateHuffmanBlock = (stream, output, { literalTable, distanceTable }) => {
+  let symbol = decodeSymbol(stream, literalTable);
+
+  while (END_OF_BLOCK !== symbol) {
+    if (symbol < END_OF_BLOCK) {
+      ensureCapacity(output, 1);
+      output.buffer[output.length++] = symbol;
+    } else {
+      const lengthCode = symbol - END_OF_BLOCK - 1;
+      if (lengthCode >= LENGTH_BASES.length) {
+        throw new Error('Invalid length code in zlib data');
+      }
+      const length = LENGTH_BASES[lengthCode] + readBits(stream, LENGTH_EXTRA_BITS[lengthCode]);
+
+      const distanceCode = decodeSymbol(stream, distanceTable);
+      if (distanceCode >= DISTANCE_BASES.length) {
+        throw new Error('Invalid distance code in zlib data');
+      }
+      const distance = DISTANCE_BASES[distanceCode] + readBits(stream, DISTANCE_EXTRA_BITS[distanceCode]);
+      if (distance > output.length) {
+        throw new Error('Invalid distance in zlib data');
+      }
+
+      // Copies byte by byte, as the source and destination may overlap.
+      ensureCapacity(output, length);
+      const { buffer } = output;
+      for (let i = 0; i < length; i++, output.length++) {
+        buffer[output.length] = buffer[output.length - distance];
+      }
+    }
+    symbol = decodeSymbol(stream, literalTable);
+  }
+};
+
+const readHeader = (data) => {
+  if (data.length < 2 || ((data[0] << 8) | data[1]) % 31) {
+    throw new Error('Invalid zlib header');
+  }
+  if (DEFLATE_METHOD !== (data[0] & 15) || (data[0] >> 4) > MAX_WINDOW_INFO) {
+    throw new Error('Unsupported zlib compression method');
+  }
+  if (data[1] & PRESET_DICTIONARY_FLAG) {
+    throw new Error('Preset zlib dictionaries are not supported');
+  }
+};
+
+/**
+ * Decompresses a zlib stream, throwing if it is malformed or, unless disabled, if
+ * its Adler-32 checksum doesn't match.  Data following the checksum is ignored.
+ */
+export const inflate = (data, options = {}) => {
+  const { verifyChecksum = true } = options;
+  readHeader(data);
+
+  const stream = { data, offset: 2, bitBuffer: 0, bitCount: 0 };
+  const output = { buffer: new Uint8Array(Math.max(1024, data.length * 4)), length: 0 };
+  let isFinalBlock = false;
+
+  while (!isFinalBlock) {
+    isFinalBlock = 1 === readBits(stream, 1);
+    const blockType = readBits(stream, 2);
+
+    if (BlockTypes.STORED === blockType) {
+      inflateStoredBlock(stream, output);
+    } else if (BlockTypes.FIXED === blockType) {
+      fixedTables = fixedTables || buildFixedTables();
+      inflateHuffmanBlock(stream, output, fixedTables);
+    } else if (BlockTypes.DYNAMIC === blockType) {
+      inflateHuffmanBlock(stream, output, readDynamicTables(stream));
+    } else {
+      throw new Error('Invalid block type in zlib data');
+    }
+  }
+
+  const uncompressedData = output.buffer.slice(0, output.length);
+  if (!verifyChecksum) {
+    return uncompressedData;
+  }
+  if (stream.offset + ADLER_CHECKSUM_SIZE > data.length) {
+    throw new Error('Unexpected end of zlib data');
+  }
+  if ((readUint32At(data, stream.offset) >>> 0) !== calculateAdler32(uncompressedData)) {
+    throw new Error('Invalid zlib checksum');
+  }
+  return uncompressedData;
+};
@@ -0,0 +1,57 @@
+/**
+ * @see https://www.w3.org/TR/PNG/#8Interlace
+ */
+import { Adam7Passes } from './constants';
+
+const computePassLength = (size, start, step) =>
+  size > start
+    ? Math.ceil((size - start) / step)
+    : 0;
+
+/**
+ * Returns the Adam7 passes along with the dimensions of the reduced image each
+ * one holds.  Passes can be empty for images narrower or shorter than 5 pixels.
+ */
+export const computeAdam7Passes = (width, height) =>
+  Adam7Passes.map((pass) => Object.assign({}, pass, {
+    width: computePassLength(width, pass.xStart, pass.xStep),
+    height: computePassLength(height, pass.yStart, pass.yStep),
+  }));
+
+export const isPassEmpty = (pass) => 0 === pass.width || 0 === pass.height;
+
+/**
+ * Places the samples of a reduced pass image at their positions in the full image.
+ */
+export const scatterPassPixels = (pixelData, passPixelData, pass, width, fullPixelSize) => {
+  const xStep = pass.xStep * fullPixelSize;
+  let n = 0;
+
+  for (let y = 0; y < pass.height; y++) {
+    let index = ((pass.yStart + y * pass.yStep) * width + pass.xStart) * fullPixelSize;
+    for (let x = 0; x < pass.width; x++, index += xStep) {
+      for (let i = 0; i < fullPixelSize; i++) {
+        pixelData[index + i] = passPixelData[n++];
+      }
+    }
+  }
+};
+
+/**
+ * Collects the samples of the full image that belong to a reduced pass image.
+ */
+export const gatherPassPixels = (pixelData, pass, width, fullPixelSize) => {
+  const passPixelData = new pixelData.constructor(pass.width * pass.height * fullPixelSize);
+  const xStep = pass.xStep * fullPixelSize;
+  let n = 0;
+
+  for (let y = 0; y < pass.height; y++) {
+    let index = ((pass.yStart + y * pass.yStep) * width + pass.xStart) * fullPixelSize;
+    for (let x = 0; x < pass.width; x++, index += xStep) {
+      for (let i = 0; i < fullPixelSize; i++) {
+        passPixelData[n++] = pixelData[index + i];
+      }
+    }
+  }
+  return passPixelData;
+};
@@ -0,0 +1,231 @@
+/**
+ * Finds the smallest color type and bit depth able to hold RGBA pixel data
+ * without losing any of it.
+ * @see https://www.w3.org/TR/PNG/#6Colour-values
+ */
+import { BitDepths, ColorTypes } from './constants';
+import {
+  createSampleArray,
+  determineDataRowLength,
+  determineMaxSampleValue,
+  determineGrayscaleStep,
+  hashRgbaAt,
+  selectSamples,
+  toChunkColor,
+} from './png-pixels';
+
+const MAX_PALETTE_SIZE = 256;
+const PALETTE_BIT_DEPTHS = [BitDepths.ONE, BitDepths.TWO, BitDepths.FOUR, BitDepths.EIGHT];
+const LOW_GRAYSCALE_BIT_DEPTHS = [BitDepths.ONE, BitDepths.TWO, BitDepths.FOUR];
+// 16 bit samples that are multiples of this are exactly representable in 8 bits.
+const EIGHT_BIT_SCALE = 257;
+
+// How the opacity of the pixels can be stored.
+export const AlphaModes = {
+  NONE: 'none',
+  TRANSPARENT_COLOR: 'transparentColor',
+  CHANNEL: 'channel',
+};
+
+const isSameColorAt = (rgbaData, i, color) =>
+  rgbaData[i] === color[0] && rgbaData[i + 1] === color[1] && rgbaData[i + 2] === color[2];
+
+/**
+ * A tRNS chunk can stand in for an alpha channel when every pixel is either
+ * opaque or fully transparent, the transparent pixels all share a color, and no
+ * opaque pixel has that color.
+ */
+export const analyzeAlpha = (rgbaData, maxValue) => {
+  let transparentColor = null;
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    const alpha = rgbaData[i + 3];
+    if (maxValue === alpha) {
+      continue;
+    }
+    if (0 !== alpha || (transparentColor && !isSameColorAt(rgbaData, i, transparentColor))) {
+      return { mode: AlphaModes.CHANNEL };
+    }
+    transparentColor = transparentColor || [rgbaData[i], rgbaData[i + 1], rgbaData[i + 2]];
+  }
+
+  if (!transparentColor) {
+    return { mode: AlphaModes.NONE };
+  }
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    if (maxValue === rgbaData[i + 3] && isSameColorAt(rgbaData, i, transparentColor)) {
+      return { mode: AlphaModes.CHANNEL };
+    }
+  }
+  return { mode: AlphaModes.TRANSPARENT_COLOR, transparentColor };
+};
+
+const isGrayscaleData = (rgbaData, background) => {
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    if (rgbaData[i] !== rgbaData[i + 1] || rgbaData[i] !== rgbaData[i + 2]) {
+      return false;
+    }
+  }
+  return !background || (background[0] === background[1] && background[0] === background[2]);
+};
+
+// A gray level fits a lower depth when it's a multiple of that depth's step.
+const findGrayscaleDepth = (rgbaData, background, depth) => {
+  if (BitDepths.SIXTEEN === depth) {
+    return depth;
+  }
+
+  const grays = new Set(background ? [background[0]] : []);
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    grays.add(rgbaData[i]);
+  }
+  const grayValues = Array.from(grays);
+  return LOW_GRAYSCALE_BIT_DEPTHS.find((lowDepth) =>
+    grayValues.every((gray) => 0 === gray % determineGrayscaleStep(lowDepth))) || BitDepths.EIGHT;
+};
+
+/**
+ * Collects the distinct colors of 8 bit pixel data, translucent ones first so
+ * that the tRNS chunk stays as short as possible.  The background is added as an
+ * opaque entry when no color matches it.  Returns null if more than `maxSize`
+ * entries would be needed.
+ */
+export const buildPalette = (rgbaData, background, maxSize = MAX_PALETTE_SIZE) => {
+  const colors = new Map();
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    const hash = hashRgbaAt(rgbaData, i);
+    if (colors.has(hash)) {
+      continue;
+    }
+    if (maxSize === colors.size) {
+      return null;
+    }
+    colors.set(hash, Array.from(rgbaData.subarray(i, i + 4)));
+  }
+
+  const entries = Array.from(colors.values());
+  if (background && !entries.some((entry) => isSameColorAt(entry, 0, background))) {
+    if (maxSize === entries.length) {
+      return null;
+    }
+    entries.push([background[0], background[1], background[2], 255]);
+  }
+
+  const sortedEntries = entries.filter((entry) => entry[3] < 255)
+    .concat(entries.filter((entry) => 255 === entry[3]));
+  const indices = new Map(sortedEntries.map((entry, index) => [hashRgbaAt(entry, 0), index]));
+  return { entries: sortedEntries, indices };
+};
+
+const determineTransparencySize = (candidate) => {
+  if (ColorTypes.INDEXED === candidate.colorType) {
+    return candidate.palette.entries.filter((entry) => entry[3] < 255).length;
+  }
+  if (AlphaModes.TRANSPARENT_COLOR !== candidate.alphaMode) {
+    return 0;
+  }
+  return ColorTypes.GRAYSCALE === candidate.colorType ? 2 : 6;
+};
+
+// The size of the filtered scanlines and of the palette and tRNS chunks' data.
+const estimateSize = (candidate, width, height) =>
+  (determineDataRowLength(candidate.depth, candidate.colorType, width) + 1) * height
+  + (candidate.palette ? candidate.palette.entries.length * 3 : 0)
+  + determineTransparencySize(candidate);
+
+const listCandidates = (rgbaData, depth, background) => {
+  const { mode: alphaMode, transparentColor } = analyzeAlpha(rgbaData, determineMaxSampleValue(depth));
+  const candidates = [];
+
+  if (isGrayscaleData(rgbaData, background)) {
+    const grayscaleDepth = findGrayscaleDepth(rgbaData, background, depth);
+    if (AlphaModes.CHANNEL !== alphaMode) {
+      candidates.push({ colorType: ColorTypes.GRAYSCALE, depth: grayscaleDepth, alphaMode, transparentColor });
+    } else {
+      candidates.push({ colorType: ColorTypes.GRAYSCALE_AND_ALPHA, depth, alphaMode });
+    }
+  }
+
+  const palette = BitDepths.EIGHT === depth && buildPalette(rgbaData, background);
+  if (palette) {
+    candidates.push({
+      colorType: ColorTypes.INDEXED,
+      depth: PALETTE_BIT_DEPTHS.find((paletteDepth) => 2 ** paletteDepth >= palette.entries.length),
+      palette,
+    });
+  }
+
+  candidates.push({
+    colorType: AlphaModes.CHANNEL === alphaMode ? ColorTypes.TRUECOLOR_AND_ALPHA : ColorTypes.TRUECOLOR,
+    depth,
+    alphaMode,
+    transparentColor,
+  });
+  return candidates;
+};
+
+const encodePixelData = (rgbaData, { colorType, depth, palette }) => {
+  const numberOfPixels = rgbaData.length / 4;
+
+  if (ColorTypes.INDEXED === colorType) {
+    const pixelData = createSampleArray(depth, numberOfPixels);
+    for (let i = 0; i < numberOfPixels; i++) {
+      pixelData[i] = palette.indices.get(hashRgbaAt(rgbaData, i * 4));
+    }
+    return pixelData;
+  }
+
+  return selectSamples(rgbaData, colorType, depth);
+};
+
+/**
+ * The transparency and background in the form their chunks take for the chosen
+ * color type.
+ */
+const encodeAncillaryData = (candidate, background) => {
+  const { colorType, depth, palette, transparentColor } = candidate;
+
+  if (ColorTypes.INDEXED === colorType) {
+    return {
+      palette: palette.entries.map((entry) => entry.slice(0, 3)),
+      transparency: palette.entries.filter((entry) => entry[3] < 255).map((entry) => entry[3]),
+      background: background
+        ? [palette.entries.findIndex((entry) => isSameColorAt(entry, 0, background))]
+        : null,
+    };
+  }
+
+  return {
+    palette: null,
+    transparency: transparentColor ? toChunkColor(transparentColor, colorType, depth) : null,
+    background: background ? toChunkColor(background, colorType, depth) : null,
+  };
+};
+
+const reduceTo8Bit = (sampleData) =>
+  Uint8ClampedArray.from(sampleData, (sample) => sample / EIGHT_BIT_SCALE);
+
+/**
+ * Chooses the color type and bit depth that give the smallest image data for
+ * RGBA samples of the given depth (8 or 16), and encodes the pixels, palette,
+ * transparency and background (an RGB color, optional) for them.  Palettes are
+ * only considered for 8 bit data, and ties favor grayscale over a palette.
+ */
+export const findSmallestRepresentation = (rgbaData, { width, height, depth, background }) => {
+  if (BitDepths.SIXTEEN === depth
+    && rgbaData.every((sample) => 0 === sample % EIGHT_BIT_SCALE)
+    && (!background || background.every((sample) => 0 === sample % EIGHT_BIT_SCALE))) {
+    rgbaData = reduceTo8Bit(rgbaData);
+    background = background && Array.from(reduceTo8Bit(background));
+    depth = BitDepths.EIGHT;
+  }
+
+  const candidates = listCandidates(rgbaData, depth, background);
+  const chosen = candidates.reduce((smallest, candidate) =>
+    estimateSize(candidate, width, height) < estimateSize(smallest, width, height) ? candidate : smallest);
+
+  return Object.assign({
+    colorType: chosen.colorType,
+    depth: chosen.depth,
+    pixelData: encodePixelData(rgbaData, chosen),
+  }, encodeAncillaryData(chosen, background));
+};
@@ -2,6 +2,10 @@ import { ColorTypes, BitDepths, PixelLayouts } from './constants';
 
 export const hashPixelData = (colorData) => colorData.join(',');
 
+// A numeric key for the 8 bit RGBA pixel starting at offset `i`.
+export const hashRgbaAt = (rgbaData, i) =>
+  ((rgbaData[i] * 256 + rgbaData[i + 1]) * 256 + rgbaData[i + 2]) * 256 + rgbaData[i + 3];
+
 export const hashPixelIndexKey = (index) => String(index);
 
 export const unhashPixelIndexKey = (index) => Number(index);
@@ -41,9 +45,72 @@ export const determineBytesPerPixel = (depth, colorType) => {
   if (BitDepths.FOUR === depth) {
     return 1 / 2;
   }
+  if (BitDepths.SIXTEEN === depth) {
+    return determineFullPixelSize(colorType) * 2;
+  }
   return determineFullPixelSize(colorType);
 };
 
+/**
+ * Samples below 8 bits are held as 8 bit values, so only 16 bit samples need
+ * a wider type.
+ */
+export const createSampleArray = (depth, length) =>
+  BitDepths.SIXTEEN === depth
+    ? new Uint16Array(length)
+    : new Uint8ClampedArray(length);
+
+export const determineMaxSampleValue = (depth) =>
+  BitDepths.SIXTEEN === depth
+    ? 65535
+    : 255;
+
+export const scaleSamplesTo8Bit = (sampleData) =>
+  Uint8ClampedArray.from(sampleData, (sample) => Math.round(sample / 257));
+
+// Rec. 601 luma, the weighted sum of RGB samples that approximates their brightness.
+export const computeLuma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Gray samples below 8 bits are held scaled up to 8 bits, but tRNS and bKGD hold
+ * them unscaled.
+ */
+export const determineGrayscaleStep = (depth) => 255 / (2 ** depth - 1);
+
+/**
+ * Converts a color, with samples at the scale of the pixel data, to the form
+ * the tRNS and bKGD chunks of a grayscale or truecolor image take.
+ */
+export const toChunkColor = (color, colorType, depth) => {
+  if (!isGrayscale(colorType) && !isGrayscaleWithAlpha(colorType)) {
+    return color.slice(0, 3);
+  }
+  return depth < BitDepths.EIGHT
+    ? [color[0] / determineGrayscaleStep(depth)]
+    : [color[0]];
+};
+
+/**
+ * Picks the samples of a color type out of RGBA pixel data that is already at
+ * the scale of the color type's samples.
+ */
+export const selectSamples = (rgbaData, colorType, depth) => {
+  const sampleIndices = {
+    [ColorTypes.GRAYSCALE]: [0],
+    [ColorTypes.GRAYSCALE_AND_ALPHA]: [0, 3],
+    [ColorTypes.TRUECOLOR]: [0, 1, 2],
+    [ColorTypes.TRUECOLOR_AND_ALPHA]: [0, 1, 2, 3],
+  }[colorType];
+  const sampleData = createSampleArray(depth, rgbaData.length / 4 * sampleIndices.length);
+  let n = 0;
+  for (let i = 0; i < rgbaData.length; i += 4) {
+    sampleIndices.forEach((sampleIndex) => {
+      sampleData[n++] = rgbaData[i + sampleIndex];
+    });
+  }
+  return sampleData;
+};
+
 export const determineDataRowLength = (depth, colorType, width) => 
   Math.ceil(determineBytesPerPixel(depth, colorType) * width);
 
@@ -57,6 +124,12 @@ export const determineTransparencySpacePerSample = (colorType) =>
     ? 2
     : 1;
 
+// The significant bits of indexed images are those of the palette's RGB samples.
+export const determineSignificantBitsSamplesPerEntry = (colorType) =>
+  isIndexed(colorType)
+    ? 3
+    : determineFullPixelSize(colorType);
+
 export const determineBackgroundSamplesPerEntry = (colorType) => {
   if (ColorTypes.INDEXED === colorType
     || ColorTypes.GRAYSCALE === colorType
@@ -66,8 +139,9 @@ export const determineBackgroundSamplesPerEntry = (colorType) => {
   return 3;
 };
 
-const formatPixelsForColorType0 = (pixelData, trnsData, numberOfValuesInLayout) => {
-  const formattedData = new Uint8ClampedArray(pixelData.length * numberOfValuesInLayout);
+const formatPixelsForColorType0 = (pixelData, trnsData, numberOfValuesInLayout, depth) => {
+  const formattedData = createSampleArray(depth, pixelData.length * numberOfValuesInLayout);
+  const maxValue = determineMaxSampleValue(depth);
   let i = 0;
   let n = 0;
 
@@ -80,19 +154,20 @@ const formatPixelsForColorType0 = (pixelData, trnsData, numberOfValuesInLayout)
     if (numberOfValuesInLayout === 4) {
       formattedData[n++] = trnsData.includes(value)
         ? 0
-        : 255;
+        : maxValue;
     }
   }
   return formattedData;
 };
 
-const formatPixelsForColorType2 = (pixelData, trnsData, numberOfValuesInLayout, width, height) => {
+const formatPixelsForColorType2 = (pixelData, trnsData, numberOfValuesInLayout, width, height, depth) => {
   if (3 === numberOfValuesInLayout) {
     return pixelData;
   }
 
   const numberOfPixels = computeNumberOfPixels(width, height);
-  const formattedData = new Uint8ClampedArray(pixelData.length + numberOfPixels);
+  const formattedData = createSampleArray(depth, pixelData.length + numberOfPixels);
+  const maxValue = determineMaxSampleValue(depth);
   const hashedTrnsData = trnsData.map((element) => hashPixelData(element));
   let i = 0;
   let n = 0;
@@ -108,7 +183,7 @@ const formatPixelsForColorType2 = (pixelData, trnsData, numberOfValuesInLayout,
     formattedData[n++] = b;
     formattedData[n++] = hashedTrnsData.includes(hashedPixel)
       ? 0
-      : 255;
+      : maxValue;
   }
   return formattedData;
 };
@@ -136,12 +211,12 @@ const formatPixelsForColorType3 = (pixelData, trnsData, numberOfValuesInLayout,
   return formattedData;
 };
 
-const formatPixelsForColorType4 = (pixelData, numberOfValuesInLayout, width, height) => {
+const formatPixelsForColorType4 = (pixelData, numberOfValuesInLayout, width, height, depth) => {
   let formattedData;
 
   if (3 === numberOfValuesInLayout) {
     const numberOfPixels = computeNumberOfPixels(width, height);
-    formattedData = new Uint8ClampedArray(numberOfPixels * 3);
+    formattedData = createSampleArray(depth, numberOfPixels * 3);
     let i = 0;
     let n = 0;
 
@@ -153,7 +228,7 @@ const formatPixelsForColorType4 = (pixelData, numberOfValuesInLayout, width, hei
       i++; // Alpha, which we'll skip.
     }
   } else {
-    formattedData = new Uint8ClampedArray(pixelData.length * 2);
+    formattedData = createSampleArray(depth, pixelData.length * 2);
     let i = 0;
     let n = 0;
 
@@ -169,13 +244,13 @@ const formatPixelsForColorType4 = (pixelData, numberOfValuesInLayout, width, hei
   return formattedData;
 };
 
-const formatPixelsForColorType6 = (pixelData, numberOfValuesInLayout, width, height) => {
+const formatPixelsForColorType6 = (pixelData, numberOfValuesInLayout, width, height, depth) => {
   if (4 === numberOfValuesInLayout) {
     return pixelData;
   }
 
   const numberOfPixels = computeNumberOfPixels(width, height);
-  const formattedData = new Uint8ClampedArray(pixelData.length - numberOfPixels);
+  const formattedData = createSampleArray(depth, pixelData.length - numberOfPixels);
   let i = 0;
   let n = 0;
 
@@ -189,23 +264,23 @@ const formatPixelsForColorType6 = (pixelData, numberOfValuesInLayout, width, hei
   return formattedData;
 };
 
-export const formatPixels = (colorType, width, height, pixelLayout, pixelData, trnsData) => {
+export const formatPixels = (colorType, width, height, pixelLayout, pixelData, trnsData, depth = BitDepths.EIGHT) => {
   const numberOfValuesInLayout = PixelLayouts.RGB === pixelLayout
     ? 3
     : 4;
   if (ColorTypes.GRAYSCALE === colorType) {
-    return formatPixelsForColorType0(pixelData, trnsData, numberOfValuesInLayout);
+    return formatPixelsForColorType0(pixelData, trnsData, numberOfValuesInLayout, depth);
   }
   if (ColorTypes.TRUECOLOR === colorType) {
-    return formatPixelsForColorType2(pixelData, trnsData, numberOfValuesInLayout, width, height);
+    return formatPixelsForColorType2(pixelData, trnsData, numberOfValuesInLayout, width, height, depth);
   }
   if (ColorTypes.INDEXED === colorType) {
     return formatPixelsForColorType3(pixelData, trnsData, numberOfValuesInLayout, width, height);
   }
   if (ColorTypes.GRAYSCALE_AND_ALPHA === colorType) {
-    return formatPixelsForColorType4(pixelData, numberOfValuesInLayout, width, height);
+    return formatPixelsForColorType4(pixelData, numberOfValuesInLayout, width, height, depth);
   }
   if (ColorTypes.TRUECOLOR_AND_ALPHA === colorType) {
-    return formatPixelsForColorType6(pixelData, numberOfValuesInLayout, width, height);
+    return formatPixelsForColorType6(pixelData, numberOfValuesInLayout, width, height, depth);
   }
 };
@@ -0,0 +1,318 @@
+/**
+ * Reduces 8 bit RGBA pixel data to a palette of a limited number of colors.
+ * Alpha is quantized along with the color, as a fourth dimension.
+ */
+import { QuantizationMethods } from './constants';
+import { hashRgbaAt } from './png-pixels';
+
+const SAMPLES_PER_PIXEL = 4;
+const MAX_TREE_DEPTH = 8;
+const MAX_K_MEANS_ITERATIONS = 10;
+
+/**
+ * The distinct colors of the pixels as `[r, g, b, a]` arrays, and the number of
+ * pixels of each.
+ */
+const collectColors = (rgbaData) => {
+  const indices = new Map();
+  const colors = [];
+  const counts = [];
+
+  for (let i = 0; i < rgbaData.length; i += SAMPLES_PER_PIXEL) {
+    const hash = hashRgbaAt(rgbaData, i);
+    if (!indices.has(hash)) {
+      indices.set(hash, colors.length);
+      colors.push(Array.from(rgbaData.subarray(i, i + SAMPLES_PER_PIXEL)));
+      counts.push(0);
+    }
+    counts[indices.get(hash)]++;
+  }
+  return { colors, counts };
+};
+
+const averageColors = (colors, counts, members) => {
+  const sums = [0, 0, 0, 0];
+  let total = 0;
+  members.forEach((member) => {
+    for (let s = 0; s < SAMPLES_PER_PIXEL; s++) {
+      sums[s] += colors[member][s] * counts[member];
+    }
+    total += counts[member];
+  });
+  return sums.map((sum) => Math.round(sum / total));
+};
+
+const computeDistance = (color, r, g, b, a) => {
+  const dr = color[0] - r;
+  const dg = color[1] - g;
+  const db = color[2] - b;
+  const da = color[3] - a;
+  return dr * dr + dg * dg + db * db + da * da;
+};
+
+export const findNearestEntry = (palette, r, g, b, a) => {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < palette.length && nearestDistance > 0; i++) {
+    const distance = computeDistance(palette[i], r, g, b, a);
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+};
+
+const createBox = (colors, members) => {
+  let widest = { sample: 0, range: -1 };
+  for (let s = 0; s < SAMPLES_PER_PIXEL; s++) {
+    let min = 255;
+    let max = 0;
+    members.forEach((member) => {
+      min = Math.min(min, colors[member][s]);
+      max = Math.max(max, colors[member][s]);
+    });
+    if (max - min > widest.range) {
+      widest = { sample: s, range: max - min };
+    }
+  }
+  return { members, sample: widest.sample, range: widest.range };
+};
+
+/**
+ * Repeatedly splits the box of colors with the widest range of a sample in two,
+ * at the pixel-weighted median of that sample.
+ * @see https://en.wikipedia.org/wiki/Median_cut
+ */
+const quantizeByMedianCut = (colors, counts, numberOfColors) => {
+  const boxes = [createBox(colors, colors.map((color, index) => index))];
+
+  while (boxes.length < numberOfColors) {
+    const widestBox = boxes.reduce((widest, box, index) =>
+      box.range > boxes[widest].range ? index : widest, 0);
+    const { members, sample, range } = boxes[widestBox];
+    if (0 === range) {
+      break;
+    }
+
+    members.sort((a, b) => colors[a][sample] - colors[b][sample]);
+    const halfCount = members.reduce((acc, member) => acc + counts[member], 0) / 2;
+    let splitAt = 1;
+    for (let count = counts[members[0]]; splitAt < members.length - 1 && count < halfCount; splitAt++) {
+      count += counts[members[splitAt]];
+    }
+    boxes.splice(widestBox, 1,
+      createBox(colors, members.slice(0, splitAt)),
+      createBox(colors, members.slice(splitAt)));
+  }
+
+  return boxes.map((box) => averageColors(colors, counts, box.members));
+};
+
+const createTreeNode = () => ({ sums: [0, 0, 0, 0], count: 0, children: null });
+
+const determineChildIndex = (color, level) => {
+  const shift = MAX_TREE_DEPTH - 1 - level;
+  return ((color[0] >> shift & 1) << 3)
+    | ((color[1] >> shift & 1) << 2)
+    | ((color[2] >> shift & 1) << 1)
+    | (color[3] >> shift & 1);
+};
+
+const collectLeaves = (node, leaves) => {
+  if (!node.children) {
+    leaves.push(node.sums.map((sum) => Math.round(sum / node.count)));
+    return leaves;
+  }
+  node.children.forEach((child) => child && collectLeaves(child, leaves));
+  return leaves;
+};
+
+/**
+ * Sorts the colors into a tree by their most significant bits, then merges the
+ * least used nodes of the deepest level into their parents until few enough
+ * leaves remain.  With alpha, each node has 16 children rather than 8.
+ * @see https://en.wikipedia.org/wiki/Octree#Color_quantization
+ */
+const quantizeByOctree = (colors, counts, numberOfColors) => {
+  const root = createTreeNode();
+  const levels = Array.from({ length: MAX_TREE_DEPTH }, () => []);
+  let numberOfLeaves = 0;
+
+  colors.forEach((color, index) => {
+    let node = root;
+    for (let level = 0; level < MAX_TREE_DEPTH; level++) {
+      node.count += counts[index];
+      if (!node.children) {
+        node.children = new Array(16).fill(null);
+        levels[level].push(node);
+      }
+      const childIndex = determineChildIndex(color, level);
+      if (!node.children[childIndex]) {
+        node.children[childIndex] = createTreeNode();
+        numberOfLeaves += MAX_TREE_DEPTH - 1 === level ? 1 : 0;
+      }
+      node = node.children[childIndex];
+    }
+    node.count += counts[index];
+    color.forEach((sample, s) => {
+      node.sums[s] += sample * counts[index];
+    });
+  });
+
+  for (let level = MAX_TREE_DEPTH - 1; level >= 0 && numberOfLeaves > numberOfColors; level--) {
+    const nodes = levels[level].sort((a, b) => a.count - b.count);
+    for (let i = 0; i < nodes.length && numberOfLeaves > numberOfColors; i++) {
+      const children = nodes[i].children.filter((child) => child);
+      children.forEach((child) => {
+        child.sums.forEach((sum, s) => {
+          nodes[i].sums[s] += sum;
+        });
+      });
+      nodes[i].children = null;
+      numberOfLeaves -= children.length - 1;
+    }
+  }
+
+  return collectLeaves(root, []);
+};
+
+/**
+ * Starts from the median cut palette and moves each entry to the mean of the
+ * colors nearest to it until the entries settle.
+ * @see https://en.wikipedia.org/wiki/K-means_clustering
+ */
+const quantizeByKMeans = (colors, counts, numberOfColors) => {
+  let palette = quantizeByMedianCut(colors, counts, numberOfColors);
+
+  for (let iteration = 0; iteration < MAX_K_MEANS_ITERATIONS; iteration++) {
+    const clusters = palette.map(() => []);
+    colors.forEach((color, index) => {
+      clusters[findNearestEntry(palette, ...color)].push(index);
+    });
+
+    const nextPalette = clusters.map((members, entry) =>
+      members.length ? averageColors(colors, counts, members) : palette[entry]);
+    const hasSettled = nextPalette.every((entry, index) =>
+      0 === computeDistance(entry, ...palette[index]));
+    palette = nextPalette;
+    if (hasSettled) {
+      break;
+    }
+  }
+  return palette;
+};
+
+const QuantizationFunctions = {
+  [QuantizationMethods.MEDIAN_CUT]: quantizeByMedianCut,
+  [QuantizationMethods.OCTREE]: quantizeByOctree,
+  [QuantizationMethods.K_MEANS]: quantizeByKMeans,
+};
+
+const mapToPalette = (rgbaData, palette) => {
+  const indices = new Uint8ClampedArray(rgbaData.length / SAMPLES_PER_PIXEL);
+  const nearestEntries = new Map();
+
+  for (let i = 0; i < rgbaData.length; i += SAMPLES_PER_PIXEL) {
+    const hash = hashRgbaAt(rgbaData, i);
+    if (!nearestEntries.has(hash)) {
+      nearestEntries.set(hash, findNearestEntry(palette, ...rgbaData.subarray(i, i + SAMPLES_PER_PIXEL)));
+    }
+    indices[i / SAMPLES_PER_PIXEL] = nearestEntries.get(hash);
+  }
+  return indices;
+};
+
+const diffuseError = (samples, offset, error, weight) => {
+  for (let s = 0; s < SAMPLES_PER_PIXEL; s++) {
+    samples[offset + s] += error[s] * weight;
+  }
+};
+
+/**
+ * Maps the pixels to the palette, spreading the difference between each pixel
+ * and its palette entry over the pixels yet to be mapped.
+ * @see https://en.wikipedia.org/wiki/Floyd%E2%80%93Steinberg_dithering
+ */
+const mapToPaletteWithDithering = (rgbaData, palette, width) => {
+  const samples = Float32Array.from(rgbaData);
+  const indices = new Uint8ClampedArray(rgbaData.length / SAMPLES_PER_PIXEL);
+  const rowLength = width * SAMPLES_PER_PIXEL;
+
+  for (let i = 0; i < samples.length; i += SAMPLES_PER_PIXEL) {
+    const pixel = Array.from(samples.subarray(i, i + SAMPLES_PER_PIXEL), (sample) =>
+      Math.min(255, Math.max(0, sample)));
+    const entry = findNearestEntry(palette, ...pixel);
+    indices[i / SAMPLES_PER_PIXEL] = entry;
+
+    const error = pixel.map((sample, s) => sample - palette[entry][s]);
+    const x = (i % rowLength) / SAMPLES_PER_PIXEL;
+    const hasNextRow = i + rowLength < samples.length;
+    if (x < width - 1) {
+      diffuseError(samples, i + SAMPLES_PER_PIXEL, error, 7 / 16);
+    }
+    if (hasNextRow && x > 0) {
+      diffuseError(samples, i + rowLength - SAMPLES_PER_PIXEL, error, 3 / 16);
+    }
+    if (hasNextRow) {
+      diffuseError(samples, i + rowLength, error, 5 / 16);
+    }
+    if (hasNextRow && x < width - 1) {
+      diffuseError(samples, i + rowLength + SAMPLES_PER_PIXEL, error, 1 / 16);
+    }
+  }
+  return indices;
+};
+
+/**
+ * Drops the palette entries no pixel was mapped to, and orders the rest with the
+ * translucent ones first so that the tRNS chunk stays as short as possible.
+ */
+const compactPalette = (palette, indices) => {
+  const isUsed = palette.map(() => false);
+  indices.forEach((index) => {
+    isUsed[index] = true;
+  });
+
+  const order = palette.map((entry, index) => index)
+    .filter((index) => isUsed[index])
+    .sort((a, b) => (palette[a][3] < 255 ? 0 : 1) - (palette[b][3] < 255 ? 0 : 1) || a - b);
+  const remap = [];
+  order.forEach((index, newIndex) => {
+    remap[index] = newIndex;
+  });
+
+  return {
+    palette: order.map((index) => palette[index]),
+    indices: indices.map((index) => remap[index]),
+  };
+};
+
+// Fully transparent pixels all look the same, so they share a single color.
+const clearTransparentColors = (rgbaData) => {
+  const clearedData = Uint8ClampedArray.from(rgbaData);
+  for (let i = 0; i < clearedData.length; i += SAMPLES_PER_PIXEL) {
+    if (0 === clearedData[i + 3]) {
+      clearedData.fill(0, i, i + 3);
+    }
+  }
+  return clearedData;
+};
+
+/**
+ * Returns a palette of at most `numberOfColors` `[r, g, b, a]` entries and the
+ * palette index of each pixel.  Pixel data with few enough colors keeps them
+ * exactly, apart from the color of fully transparent pixels.
+ */
+export const quantizePixels = (rgbaData, { width, numberOfColors, method, dither }) => {
+  rgbaData = clearTransparentColors(rgbaData);
+  const { colors, counts } = collectColors(rgbaData);
+  const palette = colors.length <= numberOfColors
+    ? colors
+    : QuantizationFunctions[method](colors, counts, numberOfColors);
+
+  const indices = dither && palette !== colors
+    ? mapToPaletteWithDithering(rgbaData, palette, width)
+    : mapToPalette(rgbaData, palette);
+  return compactPalette(palette, indices);
+};
@@ -0,0 +1,83 @@
+const MAX_KEYWORD_LENGTH = 79;
+const SPACE = 32;
+
+export const isLatin1 = (value) => {
+  for (let i = 0; i < value.length; i++) {
+    if (value.charCodeAt(i) > 0xff) {
+      return false;
+    }
+  }
+  return true;
+};
+
+export const encodeLatin1 = (value) => Uint8Array.from(value, (character) => character.charCodeAt(0));
+
+export const decodeLatin1 = (bytes) =>
+  Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+export const encodeUtf8 = (value) => {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    const codePoint = value.codePointAt(i);
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+      // Skip the low surrogate of the pair.
+      i++;
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+export const decodeUtf8 = (bytes) => {
+  const codePoints = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    const continuationBytes = byte >= 0xf0 ? 3 : byte >= 0xe0 ? 2 : byte >= 0xc0 ? 1 : 0;
+    let codePoint = continuationBytes
+      ? byte & (0x3f >> continuationBytes)
+      : byte;
+
+    for (let n = 1; n <= continuationBytes; n++) {
+      codePoint = (codePoint << 6) | (bytes[i + n] & 0x3f);
+    }
+    codePoints.push(codePoint);
+    i += continuationBytes + 1;
+  }
+  return codePoints.map((codePoint) => String.fromCodePoint(codePoint)).join('');
+};
+
+/**
+ * Keywords are 1-79 printable Latin-1 characters, without leading, trailing or
+ * consecutive spaces.
+ * @see https://www.w3.org/TR/PNG/#11keywords
+ */
+export const isValidKeyword = (keyword) => {
+  if ('string' !== typeof keyword || keyword.length < 1 || keyword.length > MAX_KEYWORD_LENGTH) {
+    return false;
+  }
+
+  for (let i = 0; i < keyword.length; i++) {
+    const code = keyword.charCodeAt(i);
+    if (code < SPACE || (code > 126 && code < 161) || code > 0xff) {
+      return false;
+    }
+  }
+
+  return keyword.trim() === keyword && -1 === keyword.indexOf('  ');
+};
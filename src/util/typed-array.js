@@ -1,32 +1,15 @@
 import { BitDepths } from './constants';
 
-export const indexOfSequence = (bv, seq, start = 0, end = -1) => {
-  let searchIndices;
-  let limit = end !== -1
-    ? end
-    : bv.byteLength;
-  const seqLength = seq.length;
-
-  for (let i = start; i < limit; i++) {
-    const searchIndex = bv.indexOf(seq[0], i);
-    if (searchIndex === -1) {
-      continue;
-    }
-
-    searchIndices = [searchIndex];
-    for (let j = 1; j < seqLength; j++) {
-      if (bv[searchIndex + j] !== seq[j]) {
-        break;
-      }
-      searchIndices.push(searchIndex + j);
-    }
-
-    if (searchIndices.length === seqLength) {
-      return searchIndices[0];
+export const isSequenceAt = (bv, seq, offset) => {
+  if (offset < 0 || offset + seq.length > bv.byteLength) {
+    return false;
+  }
+  for (let i = 0; i < seq.length; i++) {
+    if (bv[offset + i] !== seq[i]) {
+      return false;
     }
   }
-
-  return -1;
+  return true;
 };
 
 export const writeUint8At = (buffer, offset, value) => {
@@ -101,6 +84,15 @@ export const readUint32At = (buffer, offset, lsb = false) => {
   return value;
 };
 
+export const concatByteArrays = (arrays) => {
+  const result = new Uint8Array(arrays.reduce((acc, array) => acc + array.length, 0));
+  arrays.reduce((offset, array) => {
+    result.set(array, offset);
+    return offset + array.length;
+  }, 0);
+  return result;
+};
+
 const unpackDepth1Data = (packedData, translateValues) => {
   const values = [0, 255];
   let unpackedData = new Uint8ClampedArray(packedData.length * 8);
@@ -297,6 +289,27 @@ const packDepth4Data = (unpackedData, translateValues) => {
   return packedData;
 };
 
+/**
+ * 16 bit samples are stored as big-endian pairs of bytes.
+ */
+const unpackDepth16Data = (packedData) => {
+  let unpackedData = new Uint16Array(packedData.length / 2);
+
+  for (let i = 0, n = 0; n < unpackedData.length; i += 2) {
+    unpackedData[n++] = readUint16At(packedData, i);
+  }
+  return unpackedData;
+};
+
+const packDepth16Data = (unpackedData) => {
+  let packedData = new Uint8ClampedArray(unpackedData.length * 2);
+
+  for (let i = 0, n = 0; i < unpackedData.length; i++) {
+    n = writeUint16At(packedData, n, unpackedData[i]);
+  }
+  return packedData;
+};
+
 export const unpackByteData = (packedData, depth, translateValues = false) => {
   if (BitDepths.ONE === depth) {
     return unpackDepth1Data(packedData, translateValues);
@@ -307,6 +320,9 @@ export const unpackByteData = (packedData, depth, translateValues = false) => {
   if (BitDepths.FOUR === depth) {
     return unpackDepth4Data(packedData, translateValues);
   }
+  if (BitDepths.SIXTEEN === depth) {
+    return unpackDepth16Data(packedData);
+  }
   return packedData;
 };
 
@@ -320,5 +336,8 @@ export const packByteData = (unpackedData, depth, translateValues = false) => {
   if (BitDepths.FOUR === depth) {
     return packDepth4Data(unpackedData, translateValues);
   }
+  if (BitDepths.SIXTEEN === depth) {
+    return packDepth16Data(unpackedData);
+  }
   return unpackedData;
 };